@@ -0,0 +1,172 @@
+// @ts-check
+// Benchmarks for CompositeKey, Records, Tuples and keyed Maps, alongside the string key and native Map workarounds.
+//
+//   node --expose-gc bench/index.mjs [--filter <substring>] [--out <report.json>] [--compare <report.json>] [--tolerance 0.2]
+//
+// The report is written to stdout as JSON (or to --out). With --compare the process exits with code 1 if any benchmark
+// is slower than the previous report by more than the tolerance.
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { CompositeKey, KeyedMap, Record, Tuple, keyBy } from "../index.mjs";
+
+const { values: options } = parseArgs({
+    options: {
+        filter: { type: "string", default: "" },
+        out: { type: "string" },
+        compare: { type: "string" },
+        tolerance: { type: "string", default: "0.2" },
+    },
+});
+
+const OPS = 200_000;
+const BATCH = 10_000;
+const SIZE = 1000;
+
+/**
+ * @typedef Benchmark
+ * @prop {string} name
+ * @prop {() => (i: number) => unknown} setup returns the operation to measure, called with 0 to OPS - 1
+ */
+
+/** @type {Benchmark[]} */
+const benchmarks = [];
+
+/**
+ * @param {string} name
+ * @param {Benchmark["setup"]} setup
+ */
+function bench(name, setup) {
+    benchmarks.push({ name, setup });
+}
+
+const objects = Array.from({ length: SIZE }, (_, i) => ({ i }));
+
+bench("CompositeKey/primitives", () => i => new CompositeKey(i % SIZE, "x", i));
+bench("CompositeKey/objects", () => i => new CompositeKey(objects[i % SIZE], i % 7));
+bench("CompositeKey/nested depth 8", () => (i) => {
+    let key = new CompositeKey(i % SIZE);
+    for (let depth = 1; depth < 8; depth++) {
+        key = new CompositeKey(key, depth);
+    }
+    return key;
+});
+bench("CompositeKey/equal", () => {
+    const keys = Array.from({ length: SIZE }, (_, i) => new CompositeKey(objects[i], i));
+    return i => CompositeKey.equal(keys[i % SIZE], keys[(i + 1) % SIZE]);
+});
+
+bench("Record/keyBy", () => i => Record({ x: i % SIZE, y: "y", z: i })[keyBy]());
+bench("Record/keyBy cached", () => {
+    const records = Array.from({ length: SIZE }, (_, i) => Record({ x: i, y: "y" }));
+    return i => records[i % SIZE][keyBy]();
+});
+bench("Record/equals", () => {
+    const records = Array.from({ length: SIZE }, (_, i) => Record({ x: i % 10, y: Tuple("y", i % 3) }));
+    return i => Record.equals(records[i % SIZE], Record({ x: i % 10, y: Tuple("y", i % 3) }));
+});
+bench("Record/keyBy equal", () => {
+    const records = Array.from({ length: SIZE }, (_, i) => Record({ x: i % 10, y: Tuple("y", i % 3) }));
+    return i => CompositeKey.equal(records[i % SIZE][keyBy](), Record({ x: i % 10, y: Tuple("y", i % 3) })[keyBy]());
+});
+bench("Tuple/keyBy", () => i => Tuple(i % SIZE, i)[keyBy]());
+bench("Tuple/keyBy nested", () => i => Tuple(Tuple(i % SIZE, Record({ a: i })), objects[i % SIZE])[keyBy]());
+
+bench("Map/set Tuple keys", () => {
+    const map = KeyedMap.usingKeys();
+    return i => map.set(Tuple(i % SIZE, i % 3), i);
+});
+bench("Map/get Tuple keys", () => {
+    const map = KeyedMap.usingKeys(Array.from({ length: SIZE }, (_, i) => [Tuple(i, "x"), i]));
+    return i => map.get(Tuple(i % SIZE, "x"));
+});
+bench("Map/has Record keys", () => {
+    const map = KeyedMap.usingKeys(Array.from({ length: SIZE }, (_, i) => [Record({ id: i, kind: "x" }), i]));
+    return i => map.has(Record({ id: i % SIZE, kind: "x" }));
+});
+bench("Map/get keyBy function", () => {
+    const map = new KeyedMap(Array.from({ length: SIZE }, (_, i) => [{ id: i, kind: "x" }, i]), {
+        keyBy: v => new CompositeKey(v.id, v.kind),
+    });
+    return i => map.get({ id: i % SIZE, kind: "x" });
+});
+bench("native Map/get JSON.stringify keys", () => {
+    const map = new Map(Array.from({ length: SIZE }, (_, i) => [JSON.stringify([i, "x"]), i]));
+    return i => map.get(JSON.stringify([i % SIZE, "x"]));
+});
+bench("native Map/get template string keys", () => {
+    const map = new Map(Array.from({ length: SIZE }, (_, i) => [`${i}:x`, i]));
+    return i => map.get(`${i % SIZE}:x`);
+});
+bench("native Map/get number keys", () => {
+    const map = new Map(Array.from({ length: SIZE }, (_, i) => [i, i]));
+    return i => map.get(i % SIZE);
+});
+
+bench("churn/short lived objects", () => i => new CompositeKey({}, i % SIZE));
+bench("churn/short lived Tuples", () => i => Tuple({ i }, i)[keyBy]());
+
+/**
+ * @param {Benchmark} benchmark
+ */
+async function run({ name, setup }) {
+    const op = setup();
+    for (let i = 0; i < BATCH; i++) op(i);
+    globalThis.gc?.();
+    const heapBefore = process.memoryUsage().heapUsed;
+    let elapsed = 0n;
+    for (let start = 0; start < OPS; start += BATCH) {
+        const t = process.hrtime.bigint();
+        for (let i = start; i < start + BATCH; i++) op(i);
+        elapsed += process.hrtime.bigint() - t;
+        // let finalizers run between batches, outside of the measured time
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    globalThis.gc?.();
+    return {
+        name,
+        ops: OPS,
+        opsPerSecond: Math.round(OPS / (Number(elapsed) / 1e9)),
+        heapGrowthBytes: process.memoryUsage().heapUsed - heapBefore,
+    };
+}
+
+const results = [];
+for (const benchmark of benchmarks) {
+    if (benchmark.name.includes(options.filter)) {
+        results.push(await run(benchmark));
+    }
+}
+
+const report = {
+    node: process.version,
+    gcExposed: typeof globalThis.gc === "function",
+    date: new Date().toISOString(),
+    results,
+};
+
+const json = JSON.stringify(report, null, 2);
+if (options.out) {
+    writeFileSync(options.out, json + "\n");
+} else {
+    console.log(json);
+}
+
+if (options.compare) {
+    const tolerance = Number(options.tolerance);
+    const previous = new Map(
+        JSON.parse(readFileSync(options.compare, "utf8")).results.map(r => [r.name, r.opsPerSecond])
+    );
+    let regressed = false;
+    for (const { name, opsPerSecond } of results) {
+        const before = previous.get(name);
+        if (before === undefined) continue;
+        const change = opsPerSecond / before - 1;
+        if (change < -tolerance) {
+            regressed = true;
+            console.error(`regression: ${name} ${before} -> ${opsPerSecond} ops/s (${(change * 100).toFixed(1)}%)`);
+        }
+    }
+    if (regressed) {
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,99 @@
+// @ts-check
+// Throughput and memory of keys made only of primitives, such as `Tuple(x, y)`.
+//
+//   node bench/primitive-keys.mjs [implementation.js ...]
+//
+// Each implementation (default: ./keyby.js) is measured in its own process, and a JSON report is written to stdout.
+// To compare against an earlier version: git show <commit>:keyby.js > /tmp/keyby-before.js
+import { spawnSync } from "node:child_process";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const OPS = 500_000;
+const BATCH = 10_000;
+const RETAINED = 100_000;
+
+/**
+ * Runs `f` in batches, yielding to the event loop in between so that finalizers get a chance to run
+ * @param {(i: number) => void} f
+ */
+async function opsPerSecond(f) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < OPS; i++) {
+        f(i);
+        if (i % BATCH === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return Math.round(OPS / seconds);
+}
+
+/**
+ * The heap once collected keys have been finalized and swept from the table of primitive keys, so that a sweep
+ * during a measurement does not release memory that was used before it started
+ * @param {(() => unknown) | undefined} sweep
+ */
+async function settledHeapUsed(sweep) {
+    for (let i = 0; i < 3; i++) {
+        globalThis.gc?.();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        sweep?.();
+    }
+    globalThis.gc?.();
+    return process.memoryUsage().heapUsed;
+}
+
+/** @param {string} implementation */
+async function measure(implementation) {
+    const { Tuple, CompositeKey, KeyedMap, trieDiagnostics, setTrieDiagnostics } = createRequire(import.meta.url)(implementation);
+    // trieDiagnostics sweeps the table of primitive keys, older implementations may not have it, and newer ones only
+    // report while the tracking of trie nodes is on, which is turned off again so it does not affect the measurements
+    const sweep = trieDiagnostics && (() => {
+        setTrieDiagnostics?.();
+        trieDiagnostics();
+        setTrieDiagnostics?.(false);
+    });
+
+    // warm up
+    for (let i = 0; i < 10_000; i++) CompositeKey.of(Tuple(i, i));
+
+    const churn = await opsPerSecond(i => CompositeKey.of(Tuple(i % 1000, i)));
+    const heapUsedAfterChurn = await settledHeapUsed(sweep);
+
+    const map = KeyedMap.usingKeys();
+    for (let i = 0; i < 1000; i++) map.set(Tuple(i, i), i);
+    const lookup = await opsPerSecond(i => map.get(Tuple(i % 1000, i % 1000)));
+
+    const before = await settledHeapUsed(sweep);
+    const retained = [];
+    for (let i = 0; i < RETAINED; i++) retained.push(new CompositeKey(i, "x", i));
+    const after = await settledHeapUsed(sweep);
+    const bytesPerRetainedKey = Math.round((after - before) / retained.length);
+
+    return {
+        implementation,
+        churnKeysPerSecond: churn,
+        mapGetsPerSecond: lookup,
+        bytesPerRetainedKey,
+        heapUsedAfterChurn,
+    };
+}
+
+const self = fileURLToPath(import.meta.url);
+if (process.argv[2] === "--run") {
+    process.stdout.write(JSON.stringify(await measure(path.resolve(process.argv[3]))));
+} else {
+    const implementations = process.argv.length > 2
+        ? process.argv.slice(2)
+        : [path.join(path.dirname(self), "../keyby.js")];
+    const report = implementations.map((implementation) => {
+        const { stdout, status, stderr } = spawnSync(process.execPath, ["--expose-gc", self, "--run", implementation], { encoding: "utf8" });
+        if (status !== 0) {
+            throw new Error(`benchmark of ${implementation} failed:\n${stderr}`);
+        }
+        return JSON.parse(stdout);
+    });
+    console.log(JSON.stringify(report, null, 2));
+}
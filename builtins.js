@@ -0,0 +1,5 @@
+// @ts-check
+// Implements Symbol.keyBy for Date, URL, RegExp, ArrayBuffer, typed arrays, DataView and the native Map and Set,
+// see installBuiltinKeys in keyby.js
+
+require("./keyby.js").installBuiltinKeys();
@@ -0,0 +1,85 @@
+// Symbol.keyBy for built-in types, kept apart from the other tests as it modifies the built-in prototypes
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { inspect } from "node:util";
+import { CompositeKey, KeyedMap, KeyedSet, Record, Tuple, keyBy, installBuiltinKeys, setDebugInspection } from "./index.mjs";
+
+installBuiltinKeys();
+
+const equalKeys = (a, b) => CompositeKey.equal(a[keyBy](), b[keyBy]());
+
+describe("installBuiltinKeys", () => {
+    it("keys Date by time value, separately from numbers", () => {
+        assert(equalKeys(new Date(0), new Date(0)));
+        assert(!equalKeys(new Date(0), new Date(1)));
+        assert(equalKeys(new Date(NaN), new Date("invalid")));
+        assert(!CompositeKey.equal(new Date(0)[keyBy](), new CompositeKey(0)));
+
+        const d = new Date(0);
+        const before = d[keyBy]();
+        d.setTime(1);
+        assert(!CompositeKey.equal(before, d[keyBy]()));
+    });
+    it("keys URL by href", () => {
+        assert(equalKeys(new URL("https://example.com"), new URL("https://EXAMPLE.com/")));
+        assert(!equalKeys(new URL("https://example.com/a"), new URL("https://example.com/b")));
+    });
+    it("keys RegExp by source and flags", () => {
+        assert(equalKeys(/a+/gi, new RegExp("a+", "ig")));
+        assert(!equalKeys(/a/g, /a/));
+        assert(!equalKeys(/a/, /b/));
+    });
+    it("keys binary data by type and contents", () => {
+        assert(equalKeys(new Uint8Array([1, 2]), Uint8Array.of(1, 2)));
+        assert(!equalKeys(new Uint8Array([1, 2]), new Int8Array([1, 2])));
+        assert(!equalKeys(new Uint8Array([1, 2]), new Uint8Array([1, 2, 0])));
+        assert(equalKeys(new Uint8Array([0, 1, 2]).subarray(1), new Uint8Array([1, 2])));
+        assert(equalKeys(new Float64Array([NaN]), new Float64Array([NaN])));
+        assert(!equalKeys(new Float64Array([0]), new Float64Array([-0])), "compared byte by byte");
+
+        assert(equalKeys(new Uint8Array([1, 2]).buffer, new Uint16Array([0x201]).buffer));
+        assert(!equalKeys(new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2])));
+        assert(equalKeys(new DataView(new Uint8Array([1, 2, 3]).buffer, 1), new DataView(new Uint8Array([2, 3]).buffer)));
+
+        const large = new Uint8Array(100_000).map((_, i) => i);
+        assert(equalKeys(large, large.slice()));
+        assert.throws(() => ArrayBuffer.prototype[keyBy].call({}), TypeError);
+        assert.throws(() => Uint8Array.prototype[keyBy].call([]), TypeError);
+    });
+    it("keys native Map and Set by contents, ignoring order", () => {
+        assert(equalKeys(new Set([1, 2]), new Set([2, 1])));
+        assert(!equalKeys(new Set([1, 2]), new Set([1])));
+        assert(equalKeys(new Map([["a", 1], ["b", 2]]), new Map([["b", 2], ["a", 1]])));
+        assert(!equalKeys(new Map([["a", 1]]), new Map([["a", 2]])));
+        assert(!equalKeys(new Map([[1, 1]]), new Set([1, 1])));
+        assert(equalKeys(new Set([Tuple(1, 2)]), new Set([Tuple(1, 2)])));
+        assert(equalKeys(new Set([new Date(0)]), new Set([new Date(0)])));
+    });
+    it("can key native Map and Set by insertion order", () => {
+        try {
+            installBuiltinKeys({ ordered: true });
+            assert(equalKeys(new Set([1, 2]), new Set([1, 2])));
+            assert(!equalKeys(new Set([1, 2]), new Set([2, 1])));
+            assert(!equalKeys(new Map([["a", 1], ["b", 2]]), new Map([["b", 2], ["a", 1]])));
+        } finally {
+            installBuiltinKeys();
+        }
+    });
+    it("works within Records, Tuples and keyed collections", () => {
+        assert(Record.equals(Record({ at: new Date(0) }), Record({ at: new Date(0) })));
+        assert(Tuple.equals(Tuple(/a/, new URL("https://example.com")), Tuple(/a/, new URL("https://example.com"))));
+
+        const m = KeyedMap.usingKeys([[new Date(0), "epoch"]]);
+        assert.equal(m.get(new Date(0)), "epoch");
+        const s = KeyedSet.usingKeys([Uint8Array.of(1), Uint8Array.of(1), Uint8Array.of(2)]);
+        assert.equal(s.size, 2);
+    });
+    it("describes keys with their namespace", () => {
+        setDebugInspection(true);
+        try {
+            assert.match(inspect(new Date(0)[keyBy]()), /@date, 0/);
+        } finally {
+            setDebugInspection(false);
+        }
+    });
+});
@@ -0,0 +1,329 @@
+// Map and Set behaviour modelled on test262, run against the polyfill in each keyBy mode
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { Record, install } from "./index.mjs";
+
+const NativeMap = globalThis.Map;
+const NativeSet = globalThis.Set;
+const nativeMap = new NativeMap([[1, "a"]]);
+const nativeSet = new NativeSet([1]);
+const nativeWeakMap = new globalThis.WeakMap();
+const nativeWeakSet = new globalThis.WeakSet();
+install();
+
+const IteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()));
+
+/**
+ * How each mode creates a collection, and the key it uses for a test value. Records are re-created for every lookup,
+ * so that `get`, `has` and `delete` are passed keys that are equal but not identical.
+ */
+const withConfig = (config) => (Ctor, values) => new Ctor(values, config);
+const modes = {
+    default: { create: withConfig(undefined), key: (v) => v },
+    keyBy: { create: withConfig({ keyBy: (v) => v }), key: (v) => v },
+    "Symbol.keyBy": { create: withConfig({ keyBy: (v) => v?.[Symbol.keyBy]?.() ?? v }), key: (v) => v },
+    usingKeys: { create: (Ctor, values) => Ctor.usingKeys(values), key: (v) => v },
+    Records: { create: (Ctor, values) => Ctor.usingKeys(values), key: (v) => Record({ v }) },
+};
+
+/**
+ * An iterable that records when it is closed
+ * @param {unknown[]} values
+ */
+function closeable(values) {
+    const iterable = {
+        closed: false,
+        [Symbol.iterator]() {
+            let i = 0;
+            return {
+                next: () => ({ value: values[i], done: i++ >= values.length }),
+                return: () => {
+                    iterable.closed = true;
+                    return { done: true, value: undefined };
+                },
+            };
+        },
+    };
+    return iterable;
+}
+
+describe("Map constructor and prototype", () => {
+    it("has the shape of the built-in", () => {
+        assert.equal(Map.length, 0);
+        assert.equal(Map.name, "Map");
+        assert.throws(() => Map(), TypeError);
+        assert.equal(Object.prototype.toString.call(new Map()), "[object Map]");
+        assert.deepStrictEqual(Object.getOwnPropertyDescriptor(Map.prototype, Symbol.toStringTag), {
+            value: "Map", writable: false, enumerable: false, configurable: true,
+        });
+        assert.equal(Map.prototype[Symbol.iterator], Map.prototype.entries);
+        assert.equal(Map[Symbol.species], Map);
+        assert.equal(Object.keys(Map.prototype).length, 0);
+    });
+    it("throws for incompatible receivers", () => {
+        assert.throws(() => Object.getOwnPropertyDescriptor(Map.prototype, "size").get.call({}), TypeError);
+        for (const method of ["get", "has", "set", "delete", "clear", "forEach", "keys", "values", "entries"]) {
+            assert.throws(() => Map.prototype[method].call(new Set(), () => {}), TypeError, method);
+        }
+        assert.throws(() => new Map().keys().next.call({}), TypeError);
+    });
+    it("treats native Maps as instances", () => {
+        assert(nativeMap instanceof Map);
+        assert(!(new Map() instanceof NativeMap));
+        class SubMap extends Map {}
+        assert(!(nativeMap instanceof SubMap));
+        assert(!(new Map() instanceof SubMap));
+        assert(!({} instanceof Map));
+    });
+});
+
+describe("Set constructor and prototype", () => {
+    it("has the shape of the built-in", () => {
+        assert.equal(Set.length, 0);
+        assert.equal(Set.name, "Set");
+        assert.throws(() => Set(), TypeError);
+        assert.equal(Object.prototype.toString.call(new Set()), "[object Set]");
+        assert.deepStrictEqual(Object.getOwnPropertyDescriptor(Set.prototype, Symbol.toStringTag), {
+            value: "Set", writable: false, enumerable: false, configurable: true,
+        });
+        assert.equal(Set.prototype.keys, Set.prototype.values);
+        assert.equal(Set.prototype[Symbol.iterator], Set.prototype.values);
+        assert.equal(Set[Symbol.species], Set);
+        assert.equal(Object.keys(Set.prototype).length, 0);
+    });
+    it("throws for incompatible receivers", () => {
+        assert.throws(() => Object.getOwnPropertyDescriptor(Set.prototype, "size").get.call(new Map()), TypeError);
+        for (const method of ["add", "has", "delete", "clear", "forEach", "values", "entries"]) {
+            assert.throws(() => Set.prototype[method].call(new Map(), () => {}), TypeError, method);
+        }
+    });
+    it("treats native Sets as instances", () => {
+        assert(nativeSet instanceof Set);
+        class SubSet extends Set {}
+        assert(!(nativeSet instanceof SubSet));
+        assert(new SubSet() instanceof Set);
+    });
+});
+
+for (const [name, Ctor, native] of [["WeakMap", WeakMap, nativeWeakMap], ["WeakSet", WeakSet, nativeWeakSet]]) {
+    describe(`${name} constructor and prototype`, () => {
+        it("has the shape of the built-in", () => {
+            assert.equal(Ctor.length, 0);
+            assert.equal(Ctor.name, name);
+            assert.throws(() => Ctor(), TypeError);
+            assert.equal(Object.prototype.toString.call(new Ctor()), `[object ${name}]`);
+            assert.deepStrictEqual(Object.getOwnPropertyDescriptor(Ctor.prototype, Symbol.toStringTag), {
+                value: name, writable: false, enumerable: false, configurable: true,
+            });
+            assert.equal(Ctor.prototype[Symbol.iterator], undefined);
+        });
+        it(`treats native ${name}s as instances`, () => {
+            assert(native instanceof Ctor);
+            class Sub extends Ctor {}
+            assert(!(native instanceof Sub));
+            assert(new Sub() instanceof Ctor);
+            assert(!({} instanceof Ctor));
+        });
+    });
+}
+
+for (const [mode, { create: construct, key: k }] of Object.entries(modes)) {
+    describe(`Map (${mode})`, () => {
+        const create = (entries) => construct(Map, entries);
+
+        it("accepts any iterable of entry objects", () => {
+            function* entries() {
+                yield [k("a"), 1];
+                yield { 0: k("b"), 1: 2 };
+            }
+            const m = create(entries());
+            assert.deepStrictEqual([...m], [[k("a"), 1], [k("b"), 2]]);
+            assert.equal(create(null).size, 0);
+            assert.equal(create(undefined).size, 0);
+        });
+        it("closes the iterable when an entry is not an object", () => {
+            const iterable = closeable([[k("a"), 1], 2]);
+            assert.throws(() => create(iterable), TypeError);
+            assert(iterable.closed);
+            assert.throws(() => create(1), TypeError);
+        });
+        it("calls set of subclasses", () => {
+            const calls = [];
+            class SubMap extends Map {
+                set(k, v) {
+                    calls.push(k);
+                    return super.set(k, v);
+                }
+            }
+            const m = construct(SubMap, [[k(1), 1], [k(2), 2]]);
+            assert.deepStrictEqual(calls, [k(1), k(2)]);
+            assert(m instanceof SubMap);
+            assert(m instanceof Map);
+            assert.equal(m.get(k(2)), 2);
+        });
+        it("normalizes -0 and compares NaN", () => {
+            const m = create([[k(-0), "zero"], [k(NaN), "nan"]]);
+            const [zero] = m.keys();
+            // only primitive keys are normalized, a Record is kept as given
+            assert(typeof zero === "number" ? Object.is(zero, 0) : Record.equals(zero, k(0)));
+            assert.equal(m.get(k(0)), "zero");
+            assert.equal(m.get(k(-0)), "zero");
+            assert.equal(m.get(k(NaN)), "nan");
+        });
+        it("set, get, has, delete and clear", () => {
+            const m = create();
+            const obj = {};
+            assert.equal(m.set(k(obj), 1), m);
+            assert.equal(m.get(k(obj)), 1);
+            assert(m.has(k(obj)));
+            assert(!m.has(k({})));
+            assert.equal(m.get(k({})), undefined);
+            assert.equal(m.delete(k({})), false);
+            assert.equal(m.delete(k(obj)), true);
+            assert.equal(m.delete(k(obj)), false);
+            assert(!m.has(k(obj)));
+            m.set(k(1), 1);
+            assert.equal(m.clear(), undefined);
+            assert.equal(m.size, 0);
+        });
+        it("keeps the position and key of existing entries", () => {
+            const m = create([[k("a"), 1], [k("b"), 2]]);
+            const first = [...m.keys()][0];
+            m.set(k("a"), 3);
+            assert.deepStrictEqual([...m], [[k("a"), 3], [k("b"), 2]]);
+            assert.equal([...m.keys()][0], first);
+            m.delete(k("a"));
+            m.set(k("a"), 4);
+            assert.deepStrictEqual([...m], [[k("b"), 2], [k("a"), 4]]);
+        });
+        it("forEach", () => {
+            const m = create([[k("a"), 1], [k("b"), 2]]);
+            const thisArg = {};
+            const calls = [];
+            m.forEach(function (value, key, map) {
+                calls.push([value, key, map, this]);
+                if (value === 1) {
+                    map.delete(k("b"));
+                    map.set(k("c"), 3);
+                }
+            }, thisArg);
+            assert.deepStrictEqual(calls, [[1, k("a"), m, thisArg], [3, k("c"), m, thisArg]]);
+            assert.throws(() => m.forEach(null), TypeError);
+            assert.throws(() => m.forEach({}), TypeError);
+        });
+        it("iterates live", () => {
+            const m = create([[k("a"), 1], [k("b"), 2]]);
+            const iterator = m.keys();
+            assert.deepStrictEqual(iterator.next(), { value: k("a"), done: false });
+            m.delete(k("b"));
+            m.set(k("c"), 3);
+            m.set(k("a"), 4);
+            assert.deepStrictEqual(iterator.next(), { value: k("c"), done: false });
+            assert.deepStrictEqual(iterator.next(), { value: undefined, done: true });
+            m.set(k("d"), 5);
+            assert.deepStrictEqual(iterator.next(), { value: undefined, done: true });
+
+            const entries = m.entries();
+            entries.next();
+            m.clear();
+            assert.equal(entries.next().done, true);
+        });
+        it("returns iterators like the built-in", () => {
+            const m = create([[k("a"), 1]]);
+            for (const iterator of [m.keys(), m.values(), m.entries(), m[Symbol.iterator]()]) {
+                const proto = Object.getPrototypeOf(iterator);
+                assert.equal(Object.getPrototypeOf(proto), IteratorPrototype);
+                assert.equal(proto[Symbol.toStringTag], "Map Iterator");
+                assert.equal(iterator[Symbol.iterator](), iterator);
+            }
+            assert.deepStrictEqual([...m.values()], [1]);
+            const [entry] = m.entries();
+            entry[0] = "changed";
+            assert.deepStrictEqual([...m], [[k("a"), 1]]);
+        });
+    });
+
+    describe(`Set (${mode})`, () => {
+        const create = (values) => construct(Set, values);
+
+        it("accepts any iterable", () => {
+            assert.deepStrictEqual([...create(Array.from("abca", k))], ["a", "b", "c"].map(k));
+            assert.deepStrictEqual([...create(new Map([[k(1), 2]]).keys())], [k(1)]);
+            assert.equal(create(null).size, 0);
+            assert.throws(() => create(1), TypeError);
+        });
+        it("calls add of subclasses", () => {
+            const calls = [];
+            class SubSet extends Set {
+                add(v) {
+                    calls.push(v);
+                    return super.add(v);
+                }
+            }
+            const s = construct(SubSet, [k(1), k(2)]);
+            assert.deepStrictEqual(calls, [k(1), k(2)]);
+            assert(s instanceof SubSet);
+            assert(s.has(k(2)));
+        });
+        it("closes the iterable when add throws", () => {
+            class ThrowingSet extends Set {
+                add() {
+                    throw new Error("add");
+                }
+            }
+            const iterable = closeable([1, 2]);
+            assert.throws(() => construct(ThrowingSet, iterable), /add/);
+            assert(iterable.closed);
+        });
+        it("add, has, delete and clear", () => {
+            const first = { id: 1 };
+            const s = create();
+            assert.equal(s.add(k(first)), s);
+            assert(s.has(k(first)));
+            assert(!s.has(k({ id: 1 })));
+            s.add(k(-0));
+            const zero = [...s][1];
+            assert(typeof zero === "number" ? Object.is(zero, 0) : Record.equals(zero, k(0)));
+            assert(s.has(k(0)));
+            assert.equal(s.delete(k({ id: 1 })), false);
+            assert.equal(s.delete(k(0)), true);
+            assert.equal(s.delete(k(0)), false);
+            assert.equal(s.delete(k(first)), true);
+            assert(!s.has(k(first)));
+            assert.equal(s.clear(), undefined);
+            assert.equal(s.size, 0);
+        });
+        it("forEach", () => {
+            const s = create([k("a"), k("b")]);
+            const thisArg = {};
+            const calls = [];
+            s.forEach(function (value, key, set) {
+                calls.push([value, key, set, this]);
+                if (calls.length === 1) {
+                    set.delete(k("b"));
+                    set.add(k("c"));
+                }
+            }, thisArg);
+            assert.deepStrictEqual(calls, [[k("a"), k("a"), s, thisArg], [k("c"), k("c"), s, thisArg]]);
+            assert.throws(() => s.forEach(undefined), TypeError);
+        });
+        it("iterates live", () => {
+            const s = create([k("a"), k("b")]);
+            const iterator = s.values();
+            assert.deepStrictEqual(iterator.next(), { value: k("a"), done: false });
+            s.delete(k("b"));
+            s.add(k("c"));
+            assert.deepStrictEqual(iterator.next(), { value: k("c"), done: false });
+            assert.deepStrictEqual(iterator.next(), { value: undefined, done: true });
+        });
+        it("returns iterators like the built-in", () => {
+            const s = create([k("a")]);
+            for (const iterator of [s.keys(), s.values(), s.entries(), s[Symbol.iterator]()]) {
+                const proto = Object.getPrototypeOf(iterator);
+                assert.equal(Object.getPrototypeOf(proto), IteratorPrototype);
+                assert.equal(proto[Symbol.toStringTag], "Set Iterator");
+            }
+            assert.deepStrictEqual([...s.entries()], [[k("a"), k("a")]]);
+        });
+    });
+}
@@ -0,0 +1,178 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { CompositeKey, KeyedWeakMap, Record, Tuple, setTrieDiagnostics, trieDiagnostics } from "./index.mjs";
+
+setTrieDiagnostics();
+
+async function collectGarbage() {
+    for (let i = 0; i < 3; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        globalThis.gc();
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Finalizers run some time after collection, so keep collecting until the trie has settled
+ * @param {(report: ReturnType<typeof trieDiagnostics>) => boolean} predicate
+ */
+async function collectGarbageUntil(predicate) {
+    for (let i = 0; i < 20 && !predicate(trieDiagnostics()); i++) {
+        await collectGarbage();
+    }
+    return trieDiagnostics();
+}
+
+const empty = {
+    nodes: 1,
+    gcNodes: 1,
+    eternalNodes: 0,
+    liveIds: 0,
+    pinnedIds: 0,
+    pendingFinalizations: 0,
+    depthHistogram: [1],
+    primitiveKeys: 0,
+};
+
+describe("trie diagnostics", () => {
+    it("reports the shape of the trie", () => {
+        const obj = {};
+        const keys = [
+            new CompositeKey(obj),
+            new CompositeKey(obj, 1),
+            new CompositeKey(1, 2),
+        ];
+        const report = trieDiagnostics();
+        assert.equal(report.liveIds >= 2, true);
+        assert.equal(report.primitiveKeys >= 1, true);
+        assert.equal(report.nodes, report.gcNodes + report.eternalNodes);
+        assert.equal(report.nodes, report.depthHistogram.reduce((a, b) => a + b));
+        assert.equal(report.depthHistogram[0], 1);
+        assert.equal(report.pinnedIds, 0);
+    });
+    it("counts ids pinned by weak collections", () => {
+        const obj = {};
+        const m = KeyedWeakMap.usingKeys([[Tuple(obj), 1]]);
+        assert.equal(trieDiagnostics().pinnedIds, 1);
+        assert.equal(m.has(Tuple(obj)), true);
+    });
+    it("shrinks back to empty once keys and their components are collected", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+
+        let obj = {};
+        let keys = [
+            new CompositeKey(obj),
+            new CompositeKey(obj, 1, "a"),
+            new CompositeKey(1, new CompositeKey(obj)),
+            Record({ a: 1, b: Tuple(obj, 2n) }),
+            Tuple(Symbol.for("s"), null),
+        ].map(k => k instanceof CompositeKey ? k : CompositeKey.of(k));
+        let m = KeyedWeakMap.usingKeys([[Tuple(obj, 1), 1]]);
+        let report = trieDiagnostics();
+        assert.equal(report.liveIds + report.primitiveKeys >= keys.length, true);
+        assert.equal(report.pinnedIds, 1);
+        assert.notEqual(report.eternalNodes, 0);
+
+        keys = null;
+        report = await collectGarbageUntil(r => r.liveIds === 1 && r.pendingFinalizations === 0);
+        assert.equal(report.liveIds, 1);
+        assert.equal(report.pinnedIds, 1);
+        assert.equal(report.pendingFinalizations, 0);
+
+        obj = null;
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+        assert.equal(m.has(Tuple({}, 1)), false);
+    });
+    it("releases the ids of deleted weak collection entries", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+
+        const doc = {};
+        const m = KeyedWeakMap.usingKeys();
+        for (let i = 0; i < 100; i++) {
+            m.set(Tuple(doc, i), i);
+            m.set(Tuple(doc, i), -i);
+            m.set(Tuple(doc, Tuple(doc, i)), i);
+            assert(m.delete(Tuple(doc, i)));
+            assert(m.delete(Tuple(doc, Tuple(doc, i))));
+        }
+        m.set(Tuple(doc, "kept"), 1);
+        assert.equal(trieDiagnostics().pinnedIds, 1);
+        let report = await collectGarbageUntil(r => r.liveIds === 1 && r.pendingFinalizations === 0);
+        assert.equal(report.liveIds, 1);
+        assert.equal(report.nodes < 10, true);
+        assert.equal(m.get(Tuple(doc, "kept")), 1);
+    });
+    it("releases the ids of a weak collection once it is collected", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+
+        const doc = {};
+        let m = KeyedWeakMap.usingKeys([[Tuple(doc, Tuple(doc, 1)), 1]]);
+        const other = KeyedWeakMap.usingKeys([[Tuple(doc, 1), 1]]);
+        assert.equal(trieDiagnostics().pinnedIds, 2);
+
+        m = null;
+        const report = await collectGarbageUntil(r => r.pinnedIds === 1 && r.liveIds === 1);
+        assert.equal(report.pinnedIds, 1);
+        assert.equal(report.liveIds, 1);
+        assert.equal(other.has(Tuple(doc, 1)), true);
+    });
+});
+
+describe("Record.equals", () => {
+    it("does not keep the objects it compares alive", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        let collected = 0;
+        const registry = new FinalizationRegistry(() => {
+            collected++;
+        });
+        // in its own function, so that the async function does not keep the last object alive
+        const compare = () => {
+            for (let i = 0; i < 200; i++) {
+                const obj = {};
+                registry.register(obj, i);
+                Record.equals(Record({ obj, i }), Record({ obj, i: -1 }));
+            }
+        };
+        compare();
+        for (let i = 0; i < 20 && collected < 200; i++) {
+            await collectGarbage();
+        }
+        assert.equal(collected, 200);
+    });
+});
+
+describe("CompositeKey.memoize", () => {
+    it("drops results once an object argument is collected", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        let collected = false;
+        const registry = new FinalizationRegistry(() => {
+            collected = true;
+        });
+        const f = CompositeKey.memoize((obj, n) => ({ n }));
+        let obj = {};
+        registry.register(f(obj, 1), "result");
+        assert.equal(f(obj, 1), f(obj, 1));
+        assert.equal(trieDiagnostics().pinnedIds >= 1, true);
+
+        obj = null;
+        await collectGarbageUntil(() => collected);
+        assert.equal(collected, true);
+    });
+    it("releases the ids of deleted and cleared results", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+
+        const doc = {};
+        const f = CompositeKey.memoize((obj, n) => n);
+        for (let i = 0; i < 100; i++) {
+            f(doc, i);
+            assert(f.delete(undefined, doc, i));
+        }
+        assert.equal(trieDiagnostics().pinnedIds, 0);
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+
+        for (let i = 0; i < 100; i++) {
+            f(doc, i);
+        }
+        assert.equal(trieDiagnostics().pinnedIds, 100);
+        f.clear();
+        assert.deepStrictEqual(await collectGarbageUntil(r => r.nodes === 1), empty);
+    });
+});
@@ -0,0 +1,354 @@
+// Types for index.mjs. polyfill.d.ts adds the same types to the globals replaced by `install()`.
+
+/** `Symbol.keyBy` */
+export declare const keyBy: unique symbol;
+
+/** The protocol for values that are keyed by a CompositeKey, instead of by their identity */
+export interface KeyBy {
+    [keyBy](): CompositeKey;
+}
+
+/** The config accepted by the keyed collections */
+export interface KeyByConfig<K> {
+    /** Derive the key for a value, keys that are CompositeKeys are compared by their components */
+    keyBy?: (value: K) => unknown;
+    /** Throw if any value, including nested values, does not implement `Symbol.keyBy` */
+    strict?: boolean;
+}
+
+export interface UsingKeysOptions {
+    strict?: boolean;
+}
+
+export type DistinctConfig<T> = ((value: T) => unknown) | KeyByConfig<T>;
+
+export declare class CompositeKey implements KeyBy {
+    #private;
+    constructor(...values: unknown[]);
+    [keyBy](): this;
+    readonly [Symbol.toStringTag]: "CompositeKey";
+    static equal(a: CompositeKey, b: CompositeKey): boolean;
+    /** Would the keys of `a` and `b` be equal */
+    static equalValues(a: unknown, b: unknown): boolean;
+    /** A total order consistent with `CompositeKey.equal`, usable as a sort comparator */
+    static compare(a: unknown, b: unknown): number;
+    /** A key of the values, using their `Symbol.keyBy` when they have one */
+    static of(...values: unknown[]): CompositeKey;
+    /** Like `CompositeKey.of` but throws if any value, including nested values, does not implement `Symbol.keyBy` */
+    static strictOf(...values: unknown[]): CompositeKey;
+    /**
+     * Wraps `fn` with a cache of its results, keyed by `this` and the arguments. Results for arguments that include an
+     * object are dropped once that object is collected, and promises are evicted if they reject.
+     */
+    static memoize<F extends (...args: any[]) => any>(fn: F, options?: KeyByConfig<Parameters<F>[number]>): Memoized<F>;
+    /** Field and accessor decorator registering the field as part of the key returned by `CompositeKey.keyFor` */
+    static field(value: unknown, context: ClassFieldDecoratorContext | ClassAccessorDecoratorContext): void;
+    static keyFor(obj: object): CompositeKey;
+    /** Throws unless debug inspection is enabled, see `setDebugInspection` */
+    static debugDescribe(value: unknown): string;
+}
+
+/** A function wrapped by `CompositeKey.memoize` */
+export type Memoized<F extends (...args: any[]) => any> = F & {
+    clear(): void;
+    /** Takes the same arguments as `call`, as a memoized method is not its own receiver */
+    delete(thisArg: ThisParameterType<F>, ...args: Parameters<F>): boolean;
+};
+
+/** A structured-clone-safe description of a Map or Set */
+export interface CollectionSnapshot {
+    type: "Map" | "Set";
+    keyBy: "identity" | "Symbol.keyBy";
+    strict: boolean;
+    data: unknown;
+}
+
+/** The set-like objects accepted by the Set methods such as `union` */
+export interface SetLike<T> {
+    readonly size: number;
+    has(value: T): boolean;
+    keys(): Iterator<T>;
+}
+
+export interface KeyedMap<K, V> extends Map<K, V> {
+    getOrInsert(key: K, value: V): V;
+    getOrInsertComputed(key: K, callbackfn: (key: K) => V): V;
+    toSnapshot(): CollectionSnapshot;
+}
+
+export interface KeyedMapConstructor {
+    new <K = any, V = any>(entries?: Iterable<readonly [K, V]> | null, config?: KeyByConfig<K>): KeyedMap<K, V>;
+    readonly prototype: KeyedMap<any, any>;
+    usingKeys<K = any, V = any>(entries?: Iterable<readonly [K, V]> | null, options?: UsingKeysOptions): KeyedMap<K, V>;
+    fromSnapshot<K = unknown, V = unknown>(snapshot: CollectionSnapshot): KeyedMap<K, V>;
+    groupBy<K, T>(items: Iterable<T>, callbackfn: (value: T, index: number) => K, config?: KeyByConfig<K>): KeyedMap<K, T[]>;
+    groupByKeys<K, T>(items: Iterable<T>, callbackfn: (value: T, index: number) => K, options?: UsingKeysOptions): KeyedMap<K, T[]>;
+}
+
+export declare const KeyedMap: KeyedMapConstructor;
+
+export interface KeyedSet<T> extends Set<T> {
+    union<U>(other: SetLike<U>): KeyedSet<T | U>;
+    intersection<U>(other: SetLike<U>): KeyedSet<T & U>;
+    difference<U>(other: SetLike<U>): KeyedSet<T>;
+    symmetricDifference<U>(other: SetLike<U>): KeyedSet<T | U>;
+    isSubsetOf(other: SetLike<unknown>): boolean;
+    isSupersetOf(other: SetLike<unknown>): boolean;
+    isDisjointFrom(other: SetLike<unknown>): boolean;
+    toSnapshot(): CollectionSnapshot;
+}
+
+export interface KeyedSetConstructor {
+    new <T = any>(values?: Iterable<T> | null, config?: KeyByConfig<T>): KeyedSet<T>;
+    readonly prototype: KeyedSet<any>;
+    usingKeys<T = any>(values?: Iterable<T> | null, options?: UsingKeysOptions): KeyedSet<T>;
+    fromSnapshot<T = unknown>(snapshot: CollectionSnapshot): KeyedSet<T>;
+}
+
+export declare const KeyedSet: KeyedSetConstructor;
+
+export interface KeyedWeakMap<K, V> {
+    get(key: K): V | undefined;
+    has(key: K): boolean;
+    set(key: K, value: V): this;
+    getOrInsert(key: K, value: V): V;
+    getOrInsertComputed(key: K, callbackfn: (key: K) => V): V;
+    delete(key: K): boolean;
+    readonly [Symbol.toStringTag]: string;
+}
+
+export interface KeyedWeakMapConstructor {
+    new <K extends WeakKey = WeakKey, V = any>(entries?: Iterable<readonly [K, V]> | null): KeyedWeakMap<K, V>;
+    /** With a keyBy, any value whose key is an object or a CompositeKey that can be held weakly can be used */
+    new <K = any, V = any>(entries: Iterable<readonly [K, V]> | null | undefined, config: KeyByConfig<K>): KeyedWeakMap<K, V>;
+    readonly prototype: KeyedWeakMap<any, any>;
+    usingKeys<K = any, V = any>(entries?: Iterable<readonly [K, V]> | null, options?: UsingKeysOptions): KeyedWeakMap<K, V>;
+}
+
+export declare const KeyedWeakMap: KeyedWeakMapConstructor;
+
+export interface KeyedWeakSet<T> {
+    add(value: T): this;
+    has(value: T): boolean;
+    delete(value: T): boolean;
+    readonly [Symbol.toStringTag]: string;
+}
+
+export interface KeyedWeakSetConstructor {
+    new <T extends WeakKey = WeakKey>(values?: Iterable<T> | null): KeyedWeakSet<T>;
+    new <T = any>(values: Iterable<T> | null | undefined, config: KeyByConfig<T>): KeyedWeakSet<T>;
+    readonly prototype: KeyedWeakSet<any>;
+    usingKeys<T = any>(values?: Iterable<T> | null, options?: UsingKeysOptions): KeyedWeakSet<T>;
+}
+
+export declare const KeyedWeakSet: KeyedWeakSetConstructor;
+
+/** Map ordered by `CompositeKey.compare` of the keys */
+export declare class SortedMap<K = any, V = any> {
+    constructor(entries?: Iterable<readonly [K, V]> | null, config?: KeyByConfig<K>);
+    readonly size: number;
+    clear(): void;
+    get(key: K): V | undefined;
+    has(key: K): boolean;
+    set(key: K, value: V): this;
+    delete(key: K): boolean;
+    /** The entry with the greatest key less than or equal to `key` */
+    floor(key: K): [K, V] | undefined;
+    /** The entry with the smallest key greater than or equal to `key` */
+    ceiling(key: K): [K, V] | undefined;
+    /** The entries with keys from `from` (inclusive) up to `to` (exclusive) */
+    range(from: K, to: K): Generator<[K, V], void, unknown>;
+    /** The entries whose key is a CompositeKey starting with the components of the key for `prefix` */
+    prefix(prefix: unknown): Generator<[K, V], void, unknown>;
+    forEach(callbackfn: (value: V, key: K, map: SortedMap<K, V>) => void, thisArg?: unknown): void;
+    keys(): Generator<K, void, unknown>;
+    values(): Generator<V, void, unknown>;
+    entries(): Generator<[K, V], void, unknown>;
+    [Symbol.iterator](): Generator<[K, V], void, unknown>;
+    readonly [Symbol.toStringTag]: string;
+    static usingKeys<K = any, V = any>(entries?: Iterable<readonly [K, V]> | null, options?: UsingKeysOptions): SortedMap<K, V>;
+}
+
+/** Set ordered by `CompositeKey.compare` of the keys */
+export declare class SortedSet<T = any> {
+    constructor(values?: Iterable<T> | null, config?: KeyByConfig<T>);
+    readonly size: number;
+    add(value: T): this;
+    has(value: T): boolean;
+    delete(value: T): boolean;
+    clear(): void;
+    /** The greatest value less than or equal to `value` */
+    floor(value: T): T | undefined;
+    /** The smallest value greater than or equal to `value` */
+    ceiling(value: T): T | undefined;
+    /** The values from `from` (inclusive) up to `to` (exclusive) */
+    range(from: T, to: T): Generator<T, void, unknown>;
+    /** The values whose key is a CompositeKey starting with the components of the key for `prefix` */
+    prefix(prefix: unknown): Generator<T, void, unknown>;
+    forEach(callbackfn: (value: T, key: T, set: SortedSet<T>) => void, thisArg?: unknown): void;
+    keys(): Generator<T, void, unknown>;
+    values(): Generator<T, void, unknown>;
+    entries(): Generator<[T, T], void, unknown>;
+    [Symbol.iterator](): Generator<T, void, unknown>;
+    readonly [Symbol.toStringTag]: string;
+    static usingKeys<T = any>(values?: Iterable<T> | null, options?: UsingKeysOptions): SortedSet<T>;
+}
+
+export interface MultiMapConfig<K> extends KeyByConfig<K> {
+    /** Keep a list of the values of each key (the default), or only keep equal values once */
+    values?: "list" | "set";
+}
+
+/** A one-to-many Map from each key to the values added for it, keys are removed once they have no values */
+export declare class MultiMap<K = any, V = any> {
+    constructor(entries?: Iterable<readonly [K, V]> | null, config?: MultiMapConfig<K>);
+    /** The number of keys */
+    readonly size: number;
+    add(key: K, value: V): this;
+    /** Remove one value equal to `value`, compared using `Symbol.keyBy` */
+    remove(key: K, value: V): boolean;
+    /** Remove the key and all of its values */
+    delete(key: K): boolean;
+    has(key: K): boolean;
+    count(key: K): number;
+    /** A copy of the values of the key, empty if there are none */
+    get(key: K): V[];
+    clear(): void;
+    keys(): IterableIterator<K>;
+    values(): Generator<V, void, unknown>;
+    entries(): Generator<[K, V], void, unknown>;
+    [Symbol.iterator](): Generator<[K, V], void, unknown>;
+    readonly [Symbol.toStringTag]: string;
+    static usingKeys<K = any, V = any>(
+        entries?: Iterable<readonly [K, V]> | null,
+        options?: UsingKeysOptions & { values?: "list" | "set" },
+    ): MultiMap<K, V>;
+}
+
+/** A multiset counting the occurrences of each value, values are removed once their count reaches zero */
+export declare class Bag<T = any> {
+    constructor(values?: Iterable<T> | null, config?: KeyByConfig<T>);
+    /** The number of distinct values */
+    readonly size: number;
+    add(value: T, count?: number): this;
+    /** Remove up to `count` occurrences */
+    remove(value: T, count?: number): boolean;
+    /** Remove all occurrences */
+    delete(value: T): boolean;
+    has(value: T): boolean;
+    count(value: T): number;
+    /** The same as `count` */
+    get(value: T): number;
+    clear(): void;
+    keys(): IterableIterator<T>;
+    entries(): IterableIterator<[T, number]>;
+    [Symbol.iterator](): IterableIterator<[T, number]>;
+    readonly [Symbol.toStringTag]: string;
+    static usingKeys<T = any>(values?: Iterable<T> | null, options?: UsingKeysOptions): Bag<T>;
+}
+
+/** A frozen copy of an object that is keyed by its entries */
+export type RecordOf<T> = Readonly<T> & KeyBy;
+
+/** A frozen array that is keyed by its values */
+export type TupleOf<T> = Readonly<T> & KeyBy;
+
+/** The Records and Tuples created by `Record.deep` and `Tuple.deep` from nested plain objects and arrays */
+export type Deep<T> = T extends KeyBy | ((...args: never) => unknown)
+    ? T
+    : T extends readonly unknown[]
+        ? TupleOf<{ [I in keyof T]: Deep<T[I]> }>
+        : T extends object
+            ? RecordOf<{ [P in keyof T]: Deep<T[P]> }>
+            : T;
+
+type Assign<T, U> = Omit<T, keyof U> & U;
+type AssignAll<T, U extends unknown[]> = U extends [infer First, ...infer Rest] ? AssignAll<Assign<T, First>, Rest> : T;
+
+export interface DeepOptions {
+    /**
+     * What to do with objects that are not plain objects or arrays and do not implement `Symbol.keyBy`: throw a
+     * TypeError (the default), keep them so they are keyed by their identity, or replace them with the value returned
+     * by the function
+     */
+    other?: "reject" | "keep" | ((value: object, path: string) => unknown);
+}
+
+export interface RecordConstructor {
+    <T extends object>(obj: T): RecordOf<T>;
+    /** A Record whose key throws if any nested value does not implement `Symbol.keyBy` */
+    strict<T extends object>(obj: T): RecordOf<T>;
+    /** A Record where nested plain objects and arrays are converted into Records and Tuples */
+    deep<T extends object>(obj: T, options?: DeepOptions): Deep<T>;
+    compare(a: unknown, b: unknown): number;
+    equals(a: unknown, b: unknown): boolean;
+    isRecord(v: unknown): v is RecordOf<object>;
+    with<T extends object, P extends PropertyKey, V>(r: T, key: P, value: V): RecordOf<Assign<T, { [K in P]: V }>>;
+    merge<T extends object, U extends object[]>(r: T, ...objects: [...U]): RecordOf<AssignAll<T, U>>;
+    without<T extends object, P extends keyof T>(r: T, ...keys: P[]): RecordOf<Omit<T, P>>;
+}
+
+export declare const Record: RecordConstructor;
+
+export interface TupleConstructor {
+    <T extends unknown[]>(...values: T): TupleOf<T>;
+    /** A Tuple whose key throws if any nested value does not implement `Symbol.keyBy` */
+    strict<T extends unknown[]>(...values: T): TupleOf<T>;
+    /** A Tuple where nested plain objects and arrays are converted into Records and Tuples */
+    deep<T extends unknown[]>(...values: T): Deep<T>;
+    deepFrom<T>(values: Iterable<T> | ArrayLike<T>, options?: DeepOptions): TupleOf<Deep<T>[]>;
+    compare(a: unknown, b: unknown): number;
+    equals(a: unknown, b: unknown): boolean;
+    isTuple(v: unknown): v is TupleOf<unknown[]>;
+    with<T, U>(t: readonly T[], index: number, value: U): TupleOf<(T | U)[]>;
+    toSpliced<T, U = T>(t: readonly T[], start: number, deleteCount?: number, ...items: U[]): TupleOf<(T | U)[]>;
+    toSorted<T>(t: readonly T[], compareFn?: (a: T, b: T) => number): TupleOf<T[]>;
+    toReversed<T>(t: readonly T[]): TupleOf<T[]>;
+    concat<T, U>(t: readonly T[], ...others: readonly (readonly U[])[]): TupleOf<(T | U)[]>;
+}
+
+export declare const Tuple: TupleConstructor;
+
+export declare function jsonReplacer(this: unknown, key: string, value: unknown): unknown;
+export declare function jsonReviver(key: string, value: unknown): unknown;
+export declare function encode(value: unknown): unknown;
+export declare function decode(value: unknown): unknown;
+
+export interface MembraneCapability {
+    /** The symbols used as the first component of the keys of Records, Tuples and built-in types, by name */
+    readonly namespaces: Readonly<{ [name: string]: symbol }>;
+    isCompositeKey(v: unknown): v is CompositeKey;
+    components(key: CompositeKey): unknown[];
+    create(components: unknown[]): CompositeKey;
+    rebuild(key: CompositeKey, wrap: (obj: object) => unknown, target?: MembraneCapability): CompositeKey;
+}
+
+/** Can only be called once */
+export declare function takeMembraneCapability(): MembraneCapability;
+
+/** Implement `Symbol.keyBy` for Date, URL, RegExp, ArrayBuffer, typed arrays, DataView and the native Map and Set */
+export declare function installBuiltinKeys(options?: { ordered?: boolean }): void;
+
+export declare function setDebugInspection(enabled?: boolean): void;
+
+export interface TrieDiagnostics {
+    nodes: number;
+    gcNodes: number;
+    eternalNodes: number;
+    liveIds: number;
+    pinnedIds: number;
+    pendingFinalizations: number;
+    depthHistogram: number[];
+    primitiveKeys?: number;
+}
+
+/** Throws unless enabled, see `setTrieDiagnostics` */
+export declare function trieDiagnostics(): TrieDiagnostics;
+/** Nodes created while diagnostics are off are not counted */
+export declare function setTrieDiagnostics(enabled?: boolean): void;
+
+export declare function distinct<T>(iterable: Iterable<T>, config?: DistinctConfig<T>): Generator<T, undefined, unknown>;
+export declare function uniqueBy<T>(iterable: Iterable<T>, config?: DistinctConfig<T>): T[];
+
+/** Replace the global `Map`, `Set`, `WeakMap` and `WeakSet` and add the other globals, see polyfill.d.ts */
+export declare function install(): void;
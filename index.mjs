@@ -0,0 +1,32 @@
+// @ts-check
+// Entry point that does not modify any globals. `install()` patches them the same way as polyfill.js.
+// Both share one module instance, so keys created from either are interchangeable.
+
+import keyby from "./keyby.js";
+
+export const {
+    CompositeKey,
+    KeyedMap,
+    KeyedSet,
+    KeyedWeakMap,
+    KeyedWeakSet,
+    Record,
+    Tuple,
+    SortedMap,
+    SortedSet,
+    MultiMap,
+    Bag,
+    keyBy,
+    jsonReplacer,
+    jsonReviver,
+    encode,
+    decode,
+    takeMembraneCapability,
+    installBuiltinKeys,
+    setDebugInspection,
+    setTrieDiagnostics,
+    trieDiagnostics,
+    distinct,
+    uniqueBy,
+    install,
+} = keyby;
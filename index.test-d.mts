@@ -0,0 +1,114 @@
+// Type-level tests for index.d.mts and polyfill.d.ts, checked by `tsc -p .` rather than run
+import "./polyfill.js";
+import {
+    CompositeKey as Key,
+    KeyedMap,
+    KeyedSet,
+    KeyedWeakMap,
+    Bag,
+    MultiMap,
+    Record as R,
+    SortedMap,
+    Tuple as T,
+    keyBy,
+    uniqueBy,
+    type KeyBy,
+    type RecordOf,
+    type TupleOf,
+} from "./index.mjs";
+
+type Equal<A, B> = (<X>() => X extends A ? 1 : 2) extends (<X>() => X extends B ? 1 : 2) ? true : false;
+function expectEqual<A, B>(_: Equal<A, B>) {}
+function expectType<A>(_: A) {}
+
+// Symbol.keyBy and the KeyBy protocol
+expectEqual<typeof Symbol.keyBy, typeof keyBy>(true);
+class Point implements KeyBy {
+    constructor(readonly x: number, readonly y: number) {}
+    [Symbol.keyBy]() {
+        return new CompositeKey(Point, this.x, this.y);
+    }
+}
+expectType<KeyBy>(new Point(1, 2));
+expectType<KeyBy>(new CompositeKey(1));
+// @ts-expect-error a plain object does not implement Symbol.keyBy
+expectType<KeyBy>({ x: 1 });
+
+// CompositeKey
+expectEqual<typeof CompositeKey, typeof Key>(true);
+const key: CompositeKey = CompositeKey.of(new Point(1, 2), "a");
+expectType<boolean>(CompositeKey.equal(key, new Key(1)));
+expectType<number>(CompositeKey.compare(1, "a"));
+// @ts-expect-error equal only takes keys
+CompositeKey.equal(key, 1);
+// @ts-expect-error keys are nominal
+expectType<CompositeKey>({ [Symbol.keyBy]: () => key });
+const lookup = CompositeKey.memoize(async (id: number, point: Point) => `${id}`, { keyBy: (arg) => arg });
+expectType<Promise<string>>(lookup(1, new Point(1, 2)));
+expectType<boolean>(lookup.delete(undefined, 1, new Point(1, 2)));
+lookup.clear();
+// @ts-expect-error the arguments are checked
+lookup.delete(undefined, "1");
+
+// Map and Set config
+const byId = new Map<{ id: number }, string>([], { keyBy: (v) => v.id });
+expectType<Map<{ id: number }, string>>(byId);
+// @ts-expect-error keyBy is passed the key type
+new Map<{ id: number }, string>([], { keyBy: (v) => v.name });
+expectType<Map<TupleOf<[number, number]>, string>>(Map.usingKeys([[T(1, 2), "a"]]));
+expectType<string>(Map.usingKeys<string, string>().getOrInsert("a", "b"));
+expectType<Map<number, string[]>>(Map.groupBy(["a"], (s) => s.length, { keyBy: (n) => n % 2 }));
+expectType<Set<Point>>(Set.usingKeys([new Point(1, 2)], { strict: true }));
+expectType<Set<number | string>>(new Set([1], { keyBy: (v) => v }).union(new Set(["a"])));
+expectType<KeyedMap<string, number>>(new KeyedMap([["a", 1]]));
+expectType<KeyedSet<number>>(KeyedSet.usingKeys([1]).union(new Set([2])));
+class SubMap extends KeyedMap<string, number> {}
+expectType<number | undefined>(new SubMap().get("a"));
+expectType<KeyedWeakMap<RecordOf<{ id: number }>, string>>(WeakMap.usingKeys([[R({ id: 1 }), "a"]]));
+expectType<[string, number] | undefined>(SortedMap.usingKeys<string, number>().floor("a"));
+const index = MultiMap.usingKeys<RecordOf<{ id: number }>, string>([], { values: "set" });
+expectType<string[]>(index.get(R({ id: 1 })));
+// @ts-expect-error values is "list" or "set"
+new MultiMap([], { values: "array" });
+expectType<[Point, number][]>([...Bag.usingKeys([new Point(1, 2)])]);
+// @ts-expect-error strict is a boolean
+Set.usingKeys([], { strict: "yes" });
+
+// Records
+const point = Record({ x: 1, y: "a" });
+expectType<Readonly<{ x: number; y: string }>>(point);
+expectType<KeyBy>(point);
+expectType<number>(point.x);
+// @ts-expect-error Records are readonly
+point.x = 2;
+expectType<number>(Record.with(point, "x", 2).x);
+expectType<boolean>(Record.with(point, "z", true).z);
+expectType<{ readonly y: string }>(Record.without(point, "x"));
+// @ts-expect-error the key was removed
+Record.without(point, "x").x;
+expectEqual<typeof R, typeof Record>(true);
+expectType<number>(Record.merge(point, { y: 2 }).y);
+expectType<{ readonly x: number; readonly y: boolean; readonly z: null }>(Record.merge(point, { y: 2, z: null }, { y: true }));
+const deep = Record.deep({ a: [1, { b: "c" }] as [number, { b: string }] });
+expectType<string>(deep.a[1].b);
+expectType<KeyBy>(deep.a[1]);
+
+// Tuples
+const pair = Tuple(1, "a");
+expectType<readonly [number, string]>(pair);
+expectType<KeyBy>(pair);
+expectType<string>(pair[1]);
+// @ts-expect-error Tuples are readonly
+pair[0] = 2;
+expectType<TupleOf<(number | string)[]>>(Tuple.concat(pair, [true].map(String)));
+expectType<TupleOf<number[]>>(Tuple.toSorted(Tuple(3, 1, 2), Tuple.compare));
+expectEqual<typeof T, typeof Tuple>(true);
+const unknownValue: unknown = pair;
+if (Tuple.isTuple(unknownValue)) {
+    expectType<readonly unknown[]>(unknownValue);
+}
+
+// distinct and uniqueBy
+expectType<Point[]>([new Point(1, 2)].uniqueBy());
+expectType<number[]>(uniqueBy([1, 2], (n) => n % 2));
+expectType<Generator<{ id: number }, undefined, unknown>>([{ id: 1 }].values().distinct({ keyBy: (o) => o.id }));
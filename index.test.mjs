@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert";
+import { CompositeKey, KeyedMap, KeyedSet, KeyedWeakMap, Record, Tuple, keyBy, distinct, uniqueBy, install } from "./index.mjs";
+
+test("does not modify globals", () => {
+    assert.equal(typeof globalThis.CompositeKey, "undefined");
+    assert.equal(typeof globalThis.Record, "undefined");
+    assert.equal(typeof globalThis.Tuple, "undefined");
+    assert.equal(Symbol.keyBy, undefined);
+    assert.notStrictEqual(globalThis.Map, KeyedMap);
+    assert.notStrictEqual(globalThis.Set, KeyedSet);
+});
+
+test("exports work without globals", () => {
+    let m = KeyedMap.usingKeys();
+    m.set(Record({ x: 1 }), 42);
+    assert.equal(m.get(Record({ x: 1 })), 42);
+    assert(KeyedSet.usingKeys([Tuple(1, 2)]).has(Tuple(1, 2)));
+    assert(Record({ x: 1 })[keyBy]() instanceof CompositeKey);
+
+    let obj = {};
+    assert(KeyedWeakMap.usingKeys([[Tuple(obj), 1]]).has(Tuple(obj)));
+});
+
+test("install() patches globals sharing the same keys", async () => {
+    let key = Record({ x: 1 });
+    install();
+    assert.strictEqual(globalThis.Map, KeyedMap);
+    assert.strictEqual(Symbol.keyBy, keyBy);
+    await import("./polyfill.js");
+    assert.strictEqual(globalThis.CompositeKey, CompositeKey);
+
+    let m = Map.usingKeys();
+    m.set(globalThis.Record({ x: 1 }), 42);
+    assert.equal(m.get(key), 42);
+    assert(CompositeKey.equal(key[keyBy](), globalThis.Record({ x: 1 })[Symbol.keyBy]()));
+});
+
+test("distinct and uniqueBy", () => {
+    assert.deepStrictEqual(uniqueBy([Tuple(1), Tuple(1), Tuple(2)]), [[1], [2]]);
+    assert.deepStrictEqual([...distinct(new Set([1, 2, 3]), v => v % 2)], [1, 2]);
+});
@@ -0,0 +1,4249 @@
+// @ts-check
+/// <reference lib="es2022" />
+
+(function () {
+    const { Map: OriginalMap, Set: OriginalSet, WeakMap: OriginalWeakMap, WeakSet: OriginalWeakSet } = globalThis;
+
+    /**
+     * @type {<T>(f: () => T) => T}
+     */
+    const run = f => f();
+
+    const symbolsAsWeakMapKeys = run(() => {
+        try {
+            // @ts-expect-error
+            new WeakSet([Symbol()]);
+            return true;
+        } catch {
+            return false;
+        }
+    });
+
+    /** @return {boolean} */
+    function isObject(v) {
+        return (
+            (typeof v === "object" && v !== null) ||
+            typeof v === "function"
+        );
+    }
+
+    /** @return {boolean} */
+    function valueWithIdentity(v) {
+        return (
+            isObject(v) ||
+            (symbolsAsWeakMapKeys && typeof v === "symbol" && Symbol.keyFor(v) === undefined)
+        );
+    }
+
+    /**
+     * Generic WeakMap that tracks its size, and provides a callback when the the size changes to zero
+     * @template K, V
+     * @private
+     */
+    class CountingWeakMap {
+        /** @type {WeakMap<K & object, V>} */
+        #weakMap = new OriginalWeakMap();
+        #fr = new FinalizationRegistry(() => this.#decrement());
+        /** @type {() => void} */
+        #onEmpty;
+        #size = 0;
+
+        /**
+         * @param {() => void} onEmpty
+         */
+        constructor(onEmpty) {
+            this.#onEmpty = onEmpty;
+        }
+
+        #increment(k) {
+            this.#size++;
+            this.#fr.register(k, null, k);
+        }
+
+        #decrement() {
+            this.#size--;
+            if (this.#size === 0) {
+                this.#onEmpty();
+            }
+        }
+
+        get size() {
+            return this.#size;
+        }
+
+        /**
+         * @param {K} k
+         * @returns boolean
+         */
+        has(k) {
+            return this.#weakMap.has(k);
+        }
+
+        /**
+         * @param {K} k
+         * @returns {V | undefined}
+         */
+        get(k) {
+            return this.#weakMap.get(k);
+        }
+
+        /**
+         * @param {K} k
+         * @param {V} v
+         * @returns {this}
+         */
+        set(k, v) {
+            const newEntry = !this.#weakMap.has(k);
+            this.#weakMap.set(k, v);
+            if (newEntry) {
+                this.#increment(k);
+            }
+            return this;
+        }
+
+        /**
+         * @param {K} k
+         * @returns boolean
+         */
+        delete(k) {
+            const deleted = this.#weakMap.delete(k);
+            if (deleted) {
+                this.#fr.unregister(/** @type {object} */ (k));
+                this.#decrement();
+            }
+            return deleted;
+        }
+    }
+
+    /**
+     * @template K
+     * @template V
+     * @typedef MapLike
+     * @prop {(k:K) => boolean} has
+     * @prop {(k:K) => V | undefined} get
+     * @prop {(k:K, v:V) => MapLike<K, V>} set
+     * @prop {(k:K) => boolean} delete
+     * @prop {number} size
+     */
+
+    /**
+     * @template K
+     * @template V
+     * @param {MapLike<K, V>} map
+     * @param {K} key
+     * @param {(k:K) => V} factory
+     * @returns {V}
+     */
+    function mapGetOrInsert(map, key, factory) {
+        if (!map.has(key)) {
+            const v = factory(key);
+            map.set(key, v);
+            return v;
+        }
+        return /** @type {V} */ (map.get(key));
+    }
+
+    /**
+     * @param {boolean} v
+     * @returns {asserts v}
+     */
+    function assert(v) {
+        if (v !== true) {
+            throw new Error();
+        }
+    }
+
+    /**
+     * @typedef OpaqueId
+     * @prop {"opaqueid"} __id__
+     */
+
+    /**
+     * @typedef TrieDiagnostics
+     * @prop {number} nodes all nodes, including the root
+     * @prop {number} gcNodes nodes whose key in their parent is held weakly
+     * @prop {number} eternalNodes nodes whose key in their parent is held strongly
+     * @prop {number} liveIds ids of keys that are still reachable
+     * @prop {number} pinnedIds live ids kept alive by a WeakMap or WeakSet entry
+     * @prop {number} pendingFinalizations ids that have been collected but not yet cleaned up from the trie
+     * @prop {number[]} depthHistogram the number of nodes at each depth, starting with the root at depth 0
+     * @prop {number} [primitiveKeys] live keys interned outside of the trie, as they are made only of primitives
+     */
+
+    /** @private */
+    class AbstractNode {
+        static #fr = new FinalizationRegistry((map) => {
+            AbstractNode.#registeredIds--;
+            map.examineSelf();
+        });
+
+        /** The number of ids registered with `#fr` */
+        static #registeredIds = 0;
+
+        /** @type {AbstractNode | undefined} */
+        static #root;
+
+        /**
+         * The root, and every node created since diagnostics were enabled that has not been garbage collected.
+         * `null` while diagnostics are disabled, so that creating a node does not pay for them.
+         * @type {Set<WeakRef<AbstractNode>> | null}
+         */
+        static #liveNodes = null;
+        static #liveNodesFr = new FinalizationRegistry((/** @type {WeakRef<AbstractNode>} */ ref) => {
+            AbstractNode.#liveNodes?.delete(ref);
+        });
+
+        /** @type {WeakMap<OpaqueId, AbstractNode>} */
+        static #nodeForId = new OriginalWeakMap();
+
+        /** @type {AbstractNode | null} */
+        #parent;
+        /** @type {unknown} */
+        #keyInParent;
+        /**
+         * When `#keyInParent` is the id of a nested CompositeKey, this is the node that id belongs to
+         * @type {AbstractNode | undefined}
+         */
+        #keyNode;
+        /**
+         * Strong reference to the id, only set while the node is pinned
+         * @type {OpaqueId | undefined}
+         */
+        #pinnedId;
+        /**
+         * The collections, and the nodes of keys containing this one, that hold the pin. It is released once they
+         * have all unpinned the id or been collected
+         * @type {CountingWeakMap<object, true> | undefined}
+         */
+        #pinnedBy;
+
+        /**
+         * @protected
+         * @type {WeakRef<OpaqueId> | undefined}
+         */
+        id;
+        /**
+         * @protected
+         * @type {MapLike<unknown, AbstractNode>}
+         */
+        nextNode;
+
+        /**
+         * @param {{ map: MapLike<unknown, AbstractNode>, parent: AbstractNode | null, key: unknown, keyNode?: AbstractNode }} params
+         */
+        constructor({ map, parent, key, keyNode }) {
+            if (new.target === AbstractNode) {
+                throw new Error(`AbstractNode should be subclassed`);
+            }
+            this.#parent = parent;
+            this.#keyInParent = key;
+            this.#keyNode = keyNode;
+            this.nextNode = map;
+            if (parent === null) {
+                AbstractNode.#root = this;
+            }
+            if (AbstractNode.#liveNodes !== null) {
+                AbstractNode.#track(this);
+            }
+        }
+
+        /** @param {AbstractNode} node */
+        static #track(node) {
+            const ref = new WeakRef(node);
+            AbstractNode.#liveNodes?.add(ref);
+            AbstractNode.#liveNodesFr.register(node, ref, ref);
+        }
+
+        /**
+         * @param {boolean} enabled
+         */
+        static setDiagnostics(enabled) {
+            if (enabled && AbstractNode.#liveNodes === null) {
+                AbstractNode.#liveNodes = new OriginalSet();
+                if (AbstractNode.#root !== undefined) {
+                    AbstractNode.#track(AbstractNode.#root);
+                }
+            } else if (!enabled && AbstractNode.#liveNodes !== null) {
+                for (const ref of AbstractNode.#liveNodes) {
+                    AbstractNode.#liveNodesFr.unregister(ref);
+                }
+                AbstractNode.#liveNodes = null;
+            }
+        }
+
+        /**
+         * @returns {TrieDiagnostics}
+         */
+        static diagnostics() {
+            if (AbstractNode.#liveNodes === null) {
+                throw new TypeError(`trie diagnostics are not enabled, see setTrieDiagnostics()`);
+            }
+            /** @type {TrieDiagnostics} */
+            const result = {
+                nodes: 0,
+                gcNodes: 0,
+                eternalNodes: 0,
+                liveIds: 0,
+                pinnedIds: 0,
+                pendingFinalizations: 0,
+                depthHistogram: [],
+            };
+            let registeredLiveIds = 0;
+            for (const ref of AbstractNode.#liveNodes) {
+                const node = ref.deref();
+                if (node === undefined) continue;
+                result.nodes++;
+                if (node instanceof EternalNode) {
+                    result.eternalNodes++;
+                } else {
+                    result.gcNodes++;
+                }
+                if (node.id?.deref() !== undefined) {
+                    result.liveIds++;
+                    if (node.#pinnedId !== undefined) {
+                        result.pinnedIds++;
+                    } else {
+                        registeredLiveIds++;
+                    }
+                }
+                let depth = 0;
+                for (let n = node.#parent; n !== null; n = n.#parent) {
+                    depth++;
+                }
+                while (result.depthHistogram.length <= depth) {
+                    result.depthHistogram.push(0);
+                }
+                result.depthHistogram[depth]++;
+            }
+            result.pendingFinalizations = AbstractNode.#registeredIds - registeredLiveIds;
+            return result;
+        }
+
+        /**
+         * @param {unknown} id
+         * @returns {AbstractNode | undefined}
+         */
+        static nodeForId(id) {
+            return AbstractNode.#nodeForId.get(/** @type {OpaqueId} */ (id));
+        }
+
+        /**
+         * The nodes, and their key in their parent, from the root to the node of `id`
+         * @param {OpaqueId} id
+         * @returns {Array<{ node: AbstractNode, key: unknown }>}
+         */
+        static pathTo(id) {
+            const path = [];
+            let node = AbstractNode.#nodeForId.get(id);
+            assert(node !== undefined);
+            for (; node.#parent !== null; node = node.#parent) {
+                path.unshift({ node, key: node.#keyInParent });
+            }
+            return path;
+        }
+
+        /**
+         * Keep the id of the node alive for as long as the node itself is reachable, i.e. for as
+         * long as all of the identity-bearing values on the path to this node are alive, and until
+         * `owner` unpins it or is itself collected.
+         * @param {OpaqueId} id
+         * @param {object} owner
+         */
+        static pin(id, owner) {
+            const node = AbstractNode.#nodeForId.get(id);
+            assert(node !== undefined);
+            node.#pin(owner);
+        }
+
+        /**
+         * Release the pin held by `owner`, does nothing if `id` is not the id of a key
+         * @param {unknown} id
+         * @param {object} owner
+         */
+        static unpin(id, owner) {
+            const node = AbstractNode.#nodeForId.get(/** @type {OpaqueId} */ (id));
+            if (node !== undefined && node.#pinnedBy !== undefined) {
+                node.#pinnedBy.delete(owner);
+            }
+        }
+
+        /**
+         * @param {object} owner
+         */
+        #pin(owner) {
+            this.#pinnedBy ??= new CountingWeakMap(() => this.#release());
+            this.#pinnedBy.set(owner, true);
+            if (this.#pinnedId !== undefined) return;
+            const id = this.id?.deref();
+            assert(id !== undefined);
+            this.#pinnedId = id;
+            // the registry holds the node strongly, which would in turn keep the pinned id alive forever
+            AbstractNode.#fr.unregister(id);
+            AbstractNode.#registeredIds--;
+            for (let node = /** @type {AbstractNode | null} */ (this); node !== null; node = node.#parent) {
+                if (node.#keyNode !== undefined) {
+                    node.#keyNode.#pin(this);
+                }
+            }
+        }
+
+        #release() {
+            const id = this.#pinnedId;
+            assert(id !== undefined);
+            this.#pinnedId = undefined;
+            // once no longer referenced the id is collected, and the node removed from the trie
+            AbstractNode.#fr.register(id, this, id);
+            AbstractNode.#registeredIds++;
+            for (let node = /** @type {AbstractNode | null} */ (this); node !== null; node = node.#parent) {
+                if (node.#keyNode !== undefined) {
+                    node.#keyNode.#pinnedBy?.delete(this);
+                }
+            }
+        }
+
+        /**
+         * @protected
+         * @returns {WeakRef<OpaqueId>}
+         */
+        generateId() {
+            const id = Object.freeze(Object.create(null));
+            AbstractNode.#fr.register(id, this, id);
+            AbstractNode.#registeredIds++;
+            AbstractNode.#nodeForId.set(id, this);
+            return new WeakRef(id);
+        }
+
+        /** @protected */
+        examineSelf() {
+            if (this.nextNode.size) return;
+            if (this.id?.deref()) return;
+            this.#parent?.purge(this.#keyInParent);
+        }
+
+        /** @protected */
+        purge(key) {
+            this.nextNode.delete(key);
+            this.examineSelf();
+        }
+
+        /**
+         * @param {unknown[]} values
+         * @param {number} index
+         * @returns {OpaqueId}
+         */
+        getId(values, index) {
+            assert(index >= values.length);
+            const id =
+                this.id?.deref() ?? (this.id = this.generateId()).deref();
+            assert(id !== undefined);
+            return id;
+        }
+    }
+
+    /** @private */
+    class EternalNode extends AbstractNode {
+        static #GCPlaceHolder = Symbol("<gc-value>");
+
+        /**
+         * @param {unknown} key
+         * @returns {boolean}
+         */
+        static isPlaceholder(key) {
+            return key === EternalNode.#GCPlaceHolder;
+        }
+
+        /**
+         * @param {AbstractNode} parent
+         * @param {unknown} key
+         */
+        constructor(parent, key) {
+            super({
+                map: new OriginalMap(),
+                parent,
+                key,
+            });
+        }
+
+        /**
+         * @override
+         * @param {unknown[]} values
+         * @param {number} index
+         * @returns {OpaqueId}
+         */
+        getId(values, index = 0) {
+            if (index >= values.length) {
+                return super.getId(values, index);
+            }
+
+            let head = values[index];
+            if (isIdentityComponent(head)) {
+                head = EternalNode.#GCPlaceHolder;
+            } else if (isCompositeKey(head)) {
+                head = getKeyIdentity(head);
+            } else {
+                // the node keeps the key it was created with, which is read back by componentsForId
+                head = normalizeZero(head);
+            }
+            const nextNode = mapGetOrInsert(
+                this.nextNode,
+                head,
+                (k) => new EternalNode(this, k),
+            );
+            return nextNode.getId(values, index + 1);
+        }
+    }
+
+    /** @private */
+    class GCNode extends AbstractNode {
+        static #transitionMarker = Object.freeze({"<transition>": true});
+
+        /**
+         * @param {AbstractNode | null} parent
+         * @param {unknown} key
+         */
+        constructor(parent, key) {
+            super({
+                map: new CountingWeakMap(() => this.examineSelf()),
+                parent,
+                key,
+                keyNode: AbstractNode.nodeForId(key),
+            });
+        }
+
+        /**
+         * @override
+         * @param {unknown[]} values
+         * @param {number} index
+         * @returns {OpaqueId}
+         */
+        getId(values, index = 0, seenEternal = false) {
+            if (index >= values.length) {
+                if (seenEternal) {
+                    // restart at 0 to process 'eternal values'
+                    const nextNode = mapGetOrInsert(
+                        this.nextNode,
+                        GCNode.#transitionMarker,
+                        (k) => new EternalNode(this, k),
+                    );
+                    return nextNode.getId(values, 0);
+                }
+                // end of the line
+                return super.getId(values, index);
+            }
+
+            let head = values[index];
+            if (!isIdentityComponent(head)) {
+                // skip over, flagging that we did this
+                return this.getId(values, index + 1, /* seenEternal: */ true);
+            }
+            head = isCompositeKey(head)
+                ? getKeyIdentity(head)
+                : head;
+            const nextNode = mapGetOrInsert(
+                this.nextNode,
+                head,
+                (k) => new GCNode(this, k),
+            );
+            return nextNode.getId(values, index + 1, seenEternal);
+        }
+    }
+
+    /**
+     * Interns keys made only of primitives, registered symbols and other such keys, by a string encoding of their
+     * components. This avoids a trie node per component, and a finalizer per key, for keys that are created and dropped
+     * at a high rate such as `Tuple(x, y)`.
+     *
+     * Entries whose id has been collected are swept whenever the table has doubled in size since the last sweep, so the
+     * table stays within twice the number of live keys without waiting for finalizers to run.
+     * @private
+     */
+    class PrimitiveKeyTable {
+        static #minSweepSize = 1024;
+
+        /** @type {Map<string, WeakRef<OpaqueId>>} */
+        static #ids = new OriginalMap();
+        /** @type {WeakMap<OpaqueId, string>} */
+        static #encodings = new OriginalWeakMap();
+        static #sweepAt = PrimitiveKeyTable.#minSweepSize;
+
+        /**
+         * @param {unknown} v
+         * @returns {boolean}
+         */
+        static has(v) {
+            return PrimitiveKeyTable.#encodings.has(/** @type {OpaqueId} */ (v));
+        }
+
+        /**
+         * The id for `values`, or undefined if they can not be encoded
+         * @param {unknown[]} values
+         * @returns {OpaqueId | undefined}
+         */
+        static getId(values) {
+            const encoding = PrimitiveKeyTable.#encode(values);
+            return encoding === undefined ? undefined : PrimitiveKeyTable.#idFor(encoding);
+        }
+
+        /**
+         * @param {OpaqueId} id
+         * @returns {unknown[]}
+         */
+        static componentsFor(id) {
+            const encoding = PrimitiveKeyTable.#encodings.get(id);
+            assert(encoding !== undefined);
+            return PrimitiveKeyTable.#decode(encoding);
+        }
+
+        /**
+         * Removes the entries for collected ids, and returns the number of live entries
+         */
+        static sweep() {
+            for (const [encoding, ref] of PrimitiveKeyTable.#ids) {
+                if (ref.deref() === undefined) {
+                    PrimitiveKeyTable.#ids.delete(encoding);
+                }
+            }
+            PrimitiveKeyTable.#sweepAt = Math.max(PrimitiveKeyTable.#minSweepSize, PrimitiveKeyTable.#ids.size * 2);
+            return PrimitiveKeyTable.#ids.size;
+        }
+
+        /** @param {string} encoding */
+        static #idFor(encoding) {
+            let id = PrimitiveKeyTable.#ids.get(encoding)?.deref();
+            if (id === undefined) {
+                id = /** @type {OpaqueId} */ (Object.freeze(Object.create(null)));
+                PrimitiveKeyTable.#encodings.set(id, encoding);
+                PrimitiveKeyTable.#ids.set(encoding, new WeakRef(id));
+                if (PrimitiveKeyTable.#ids.size >= PrimitiveKeyTable.#sweepAt) {
+                    PrimitiveKeyTable.sweep();
+                }
+            }
+            return id;
+        }
+
+        /**
+         * Each component is a tag followed by its value, strings are prefixed with their length
+         * @param {unknown[]} values
+         * @returns {string | undefined}
+         */
+        static #encode(values) {
+            let encoding = "";
+            for (const v of values) {
+                switch (typeof v) {
+                    case "string":
+                        encoding += `s${v.length}:${v}`;
+                        break;
+                    case "number":
+                        // -0 and +0 are the same key
+                        encoding += `n${v === 0 ? 0 : v};`;
+                        break;
+                    case "bigint":
+                        encoding += `b${v};`;
+                        break;
+                    case "boolean":
+                        encoding += v ? "t" : "f";
+                        break;
+                    case "undefined":
+                        encoding += "u";
+                        break;
+                    case "symbol": {
+                        const namespace = namespaceNames.get(v);
+                        if (namespace !== undefined) {
+                            encoding += `N${namespace};`;
+                            break;
+                        }
+                        const registered = Symbol.keyFor(v);
+                        if (registered === undefined) {
+                            return undefined;
+                        }
+                        encoding += `y${registered.length}:${registered}`;
+                        break;
+                    }
+                    case "object": {
+                        if (v === null) {
+                            encoding += "l";
+                            break;
+                        }
+                        const nested = isCompositeKey(v) ? PrimitiveKeyTable.#encodings.get(getKeyIdentity(v)) : undefined;
+                        if (nested === undefined) {
+                            return undefined;
+                        }
+                        encoding += `k${nested.length}:${nested}`;
+                        break;
+                    }
+                    default:
+                        return undefined;
+                }
+            }
+            return encoding;
+        }
+
+        /**
+         * @param {string} encoding
+         * @returns {unknown[]}
+         */
+        static #decode(encoding) {
+            const components = [];
+            let i = 0;
+            const readUntil = (/** @type {string} */ end) => {
+                const j = encoding.indexOf(end, i);
+                const s = encoding.slice(i, j);
+                i = j + 1;
+                return s;
+            };
+            const readString = () => {
+                const length = Number(readUntil(":"));
+                const s = encoding.slice(i, i + length);
+                i += length;
+                return s;
+            };
+            while (i < encoding.length) {
+                switch (encoding[i++]) {
+                    case "s": components.push(readString()); break;
+                    case "n": components.push(Number(readUntil(";"))); break;
+                    case "b": components.push(BigInt(readUntil(";"))); break;
+                    case "t": components.push(true); break;
+                    case "f": components.push(false); break;
+                    case "u": components.push(undefined); break;
+                    case "l": components.push(null); break;
+                    case "N": components.push(KeyNamespaces[readUntil(";")]); break;
+                    case "y": components.push(Symbol.for(readString())); break;
+                    case "k": components.push(PrimitiveKeyTable.#idFor(readString())); break;
+                    default: assert(false);
+                }
+            }
+            return components;
+        }
+    }
+
+    /**
+     * Is `v` the id of a CompositeKey
+     * @param {unknown} v
+     * @returns {v is OpaqueId}
+     */
+    function isKeyId(v) {
+        return AbstractNode.nodeForId(v) !== undefined || PrimitiveKeyTable.has(v);
+    }
+
+    /** @type {WeakMap<OpaqueId, ReadonlyArray<unknown>>} */
+    const componentsCache = new OriginalWeakMap();
+
+    /**
+     * Recover the values a key was created from by walking the trie. Nested keys are returned as their id.
+     * @param {OpaqueId} id
+     * @returns {ReadonlyArray<unknown>}
+     */
+    function componentsForId(id) {
+        let components = componentsCache.get(id);
+        if (components !== undefined) {
+            return components;
+        }
+        if (PrimitiveKeyTable.has(id)) {
+            components = Object.freeze(PrimitiveKeyTable.componentsFor(id));
+            componentsCache.set(id, components);
+            return components;
+        }
+        /** @type {unknown[]} */
+        const identityValues = [];
+        /** @type {unknown[] | null} */
+        let eternalValues = null;
+        for (const { node, key } of AbstractNode.pathTo(id)) {
+            if (node instanceof GCNode) {
+                identityValues.push(key);
+            } else if (eternalValues === null) {
+                // the transition marker
+                eternalValues = [];
+            } else {
+                eternalValues.push(key);
+            }
+        }
+        if (eternalValues === null) {
+            components = identityValues;
+        } else {
+            let i = 0;
+            components = eternalValues.map(v => EternalNode.isPlaceholder(v) ? identityValues[i++] : v);
+        }
+        Object.freeze(components);
+        componentsCache.set(id, components);
+        return components;
+    }
+
+    /** @private */
+    const SymbolKeyBy = Symbol("Symbol.keyBy");
+
+    /**
+     * The decorator metadata symbol, falling back to the same registered symbol as the TypeScript and Babel helpers
+     * @private
+     * @type {symbol}
+     */
+    const SymbolMetadata = /** @type {any} */ (Symbol).metadata ?? Symbol.for("Symbol.metadata");
+
+    /** @private */
+    const KeyFieldsMetadata = Symbol("CompositeKey.field");
+
+    /**
+     * @typedef KeyField
+     * @prop {string | symbol} name
+     * @prop {(obj: object) => unknown} get
+     */
+
+    /**
+     * Path to the value currently being resolved in strict mode, `null` when not in strict mode.
+     * @private
+     * @type {Array<PropertyKey> | null}
+     */
+    let strictPath = null;
+
+    /**
+     * Run `f` in strict mode, where values without a `Symbol.keyBy` method throw instead of falling back to their identity.
+     * @template T
+     * @param {string} root the name of the path to report when not already in strict mode
+     * @param {() => T} f
+     * @returns {T}
+     */
+    function inStrictMode(root, f) {
+        if (strictPath !== null) {
+            return f();
+        }
+        strictPath = [root];
+        try {
+            return f();
+        } finally {
+            strictPath = null;
+        }
+    }
+
+    /**
+     * Run `f` outside of strict mode, for keying that was not asked to be strict even though it runs while a strict
+     * key is being resolved, such as a non-strict collection used from within a strict keyBy function.
+     * @template T
+     * @param {() => T} f
+     * @returns {T}
+     */
+    function outsideStrictMode(f) {
+        if (strictPath === null) {
+            return f();
+        }
+        const path = strictPath;
+        strictPath = null;
+        try {
+            return f();
+        } finally {
+            strictPath = path;
+        }
+    }
+
+    /**
+     * @template T
+     * @param {PropertyKey} segment
+     * @param {() => T} f
+     * @returns {T}
+     */
+    function atPath(segment, f) {
+        if (strictPath === null) {
+            return f();
+        }
+        strictPath.push(segment);
+        try {
+            return f();
+        } finally {
+            strictPath.pop();
+        }
+    }
+
+    /**
+     * @param {ReadonlyArray<PropertyKey>} path
+     * @returns {string}
+     */
+    function formatPath([root, ...segments]) {
+        return String(root) + segments.map((s) => {
+            if (typeof s === "number") return `[${s}]`;
+            if (typeof s === "symbol") return `[${s.toString()}]`;
+            if (/^[A-Za-z_$][\w$]*$/.test(s)) return `.${s}`;
+            return `[${JSON.stringify(s)}]`;
+        }).join("");
+    }
+
+    function trySymbol(v) {
+        if (isObject(v)) {
+            let k = v[SymbolKeyBy];
+            if (typeof k === "function") {
+                return Reflect.apply(k, v, []);
+            }
+            if (strictPath !== null) {
+                throw new TypeError(`${formatPath(strictPath)} does not implement Symbol.keyBy`);
+            }
+            return v;
+        }
+        return v;
+    }
+
+    /**
+     * Apply a collection's keyBy function in strict mode
+     * @param {(k) => unknown} keyBy
+     * @param {unknown} v
+     * @param {string} [root] how errors name `v`
+     * @returns {unknown}
+     */
+    function strictKeyBy(keyBy, v, root = "key") {
+        return inStrictMode(root, () => {
+            const k = keyBy(v);
+            if (isObject(k) && !isCompositeKey(k)) {
+                throw new TypeError(`keyBy must return a primitive or a CompositeKey in strict mode`);
+            }
+            return k;
+        });
+    }
+
+    /** @type {(v: unknown) => v is CompositeKey} */
+    let isCompositeKey;
+
+    /** @type {(v: CompositeKey) => OpaqueId} */
+    let getKeyIdentity;
+
+    /** @type {(v: CompositeKey) => boolean} */
+    let keyCanBeHeldWeakly;
+
+    /**
+     * Is the value held weakly by the CompositeKey trie.
+     * A nested CompositeKey only counts if it was itself created from at least one such value.
+     * @param {unknown} v
+     * @returns {boolean}
+     */
+    function isIdentityComponent(v) {
+        if (namespaceNames.has(/** @type {symbol} */ (v))) {
+            // the namespaces are never collected, so a key made of only them and primitives is eternal
+            return false;
+        }
+        return isCompositeKey(v) ? keyCanBeHeldWeakly(v) : valueWithIdentity(v);
+    }
+
+    /** @public */
+    class CompositeKey {
+        static {
+            /** @returns {v is CompositeKey} */
+            isCompositeKey = function isKey(v) {
+                return v !== null && typeof v === "object" && #id in v;
+            }
+
+            getKeyIdentity = (v) => v.#id;
+
+            keyCanBeHeldWeakly = (v) => v.#canBeHeldWeakly;
+        }
+
+        static #root = new GCNode(null, null);
+
+        /** @type {OpaqueId} */
+        #id;
+        /** @type {boolean} */
+        #canBeHeldWeakly;
+
+        constructor(...values) {
+            this.#canBeHeldWeakly = values.some(isIdentityComponent);
+            this.#id = (!this.#canBeHeldWeakly && PrimitiveKeyTable.getId(values)) || CompositeKey.#root.getId(values);
+        }
+
+        [SymbolKeyBy]() {
+            return this;
+        }
+
+        get [Symbol.toStringTag]() {
+            if (! (#id in this)) {
+                throw new TypeError("receiver is not a CompositeKey");
+            }
+            return "CompositeKey";
+        }
+
+        /**
+         * Node's `util.inspect` shows the components while debug inspection is enabled, see `setDebugInspection`
+         */
+        [Symbol.for("nodejs.util.inspect.custom")]() {
+            if (!debugInspection || !isCompositeKey(this)) {
+                return this;
+            }
+            return describeKey(this, true);
+        }
+
+        /**
+         * Describes the components of a CompositeKey, Record or Tuple, with objects and unregistered symbols labelled
+         * like `#1 Point`. Throws unless debug inspection is enabled, see `setDebugInspection`
+         * @param {unknown} value
+         * @returns {string}
+         */
+        static debugDescribe(value) {
+            return debugDescribe(value);
+        }
+
+        static equal(a, b) {
+            return a.#id === b.#id;
+        }
+
+        /**
+         * Would the keys of `a` and `b` be equal. Records and Tuples are compared by their entries without creating
+         * their keys, exiting early on the first difference or when their cached hashes differ.
+         * @param {unknown} a
+         * @param {unknown} b
+         * @returns {boolean}
+         */
+        static equalValues(a, b) {
+            return equalValues(a, b);
+        }
+
+        /**
+         * A total order consistent with `CompositeKey.equal`, usable as a sort comparator.
+         * Values are first looked up via `Symbol.keyBy` like `CompositeKey.of`.
+         *
+         * Values are ordered by type: undefined, null, booleans, numbers, bigints, strings, symbols, CompositeKeys and then
+         * other objects. Within a type:
+         * - false before true
+         * - numbers and bigints ascending, with NaN after all other numbers and -0 equal to +0
+         * - strings by UTF-16 code units
+         * - registered symbols by their key, then other symbols in the order they were first compared
+         * - CompositeKeys by their components, with a prefix ordered first
+         * - objects in the order they were first compared
+         * @param {unknown} a
+         * @param {unknown} b
+         * @returns {number}
+         */
+        static compare(a, b) {
+            a = trySymbol(a);
+            b = trySymbol(b);
+            return compareComponents(
+                isCompositeKey(a) ? a.#id : a,
+                isCompositeKey(b) ? b.#id : b,
+            );
+        }
+
+        static of(...values) {
+            return outsideStrictMode(() => CompositeKey.#of(values));
+        }
+
+        /**
+         * Like `CompositeKey.of` but throws if any value, including nested values, does not implement `Symbol.keyBy`
+         */
+        static strictOf(...values) {
+            return inStrictMode("arguments", () => CompositeKey.#of(values));
+        }
+
+        /**
+         * @param {unknown[]} values
+         * @returns {CompositeKey}
+         */
+        static #of(values) {
+            return new CompositeKey(...values.map((v, i) => atPath(i, () => trySymbol(v))));
+        }
+
+        /**
+         * Wraps `fn` with a cache of its results, keyed by a CompositeKey of `this` and the arguments. The arguments are
+         * resolved using `Symbol.keyBy` like `CompositeKey.of`, or with `options.keyBy` if given, while `this` is always
+         * compared by identity.
+         *
+         * Results for arguments that include an object are held weakly, and dropped once any of those objects is
+         * collected. Results for only primitives are kept until deleted. A thenable result is cached as is, and evicted
+         * if it rejects so that the next call tries again. Results are not cached when `fn` throws.
+         *
+         * The returned function has `clear()` and `delete(thisArg, ...args)`, where `delete` takes the arguments of `call`.
+         * @template {(...args: any[]) => any} F
+         * @param {F} fn
+         * @param {{ keyBy?: ((arg: any) => unknown), strict?: boolean }} [options]
+         * @returns {F & { clear(): void, delete(thisArg: unknown, ...args: Parameters<F>): boolean }}
+         */
+        static memoize(fn, options) {
+            if (typeof fn !== "function") {
+                throw new TypeError(`fn must be a function`);
+            }
+            const keyByOption = options?.keyBy;
+            if (keyByOption !== undefined && typeof keyByOption !== "function") {
+                throw new TypeError(`keyBy must be a function`);
+            }
+            const strict = Boolean(options?.strict);
+            /** @type {(arg: unknown) => unknown} */
+            const keyByArg = keyByOption === undefined
+                ? trySymbol
+                : strict ? (arg) => strictKeyBy(keyByOption, arg) : keyByOption;
+
+            /** @type {WeakMap<OpaqueId, unknown>} */
+            let weakResults = new OriginalWeakMap();
+            /** @type {Map<OpaqueId, unknown>} */
+            const strongResults = new OriginalMap();
+
+            /**
+             * @param {unknown} thisArg
+             * @param {unknown[]} args
+             */
+            function cacheFor(thisArg, args) {
+                const resolve = () => new CompositeKey(thisArg, ...args.map((arg, i) => atPath(i, () => keyByArg(arg))));
+                const key = strict ? inStrictMode("arguments", resolve) : outsideStrictMode(resolve);
+                const id = getKeyIdentity(key);
+                return { id, results: keyCanBeHeldWeakly(key) ? weakResults : strongResults };
+            }
+
+            // defined within the class body, so it is strict code and `this` is not coerced to an object
+            /** @this {unknown} */
+            function memoized(...args) {
+                const { id, results } = cacheFor(this, args);
+                if (results.has(id)) {
+                    return results.get(id);
+                }
+                const result = Reflect.apply(fn, this, args);
+                if (results === weakResults) {
+                    // like a WeakMap entry, the id lives for as long as the objects it was created from, until the
+                    // result is deleted or the table is cleared
+                    AbstractNode.pin(id, results);
+                }
+                results.set(id, result);
+                if (isObject(result) && typeof result.then === "function") {
+                    result.then(undefined, () => {
+                        if (results.get(id) === result) {
+                            deleteResult(results, id);
+                        }
+                    });
+                }
+                return result;
+            }
+
+            /**
+             * @param {WeakMap<OpaqueId, unknown> | Map<OpaqueId, unknown>} results
+             * @param {OpaqueId} id
+             */
+            function deleteResult(results, id) {
+                const deleted = results.delete(id);
+                if (deleted) {
+                    AbstractNode.unpin(id, results);
+                }
+                return deleted;
+            }
+
+            const methods = {
+                clear() {
+                    // the pins are held by the table, and released once it is collected
+                    weakResults = new OriginalWeakMap();
+                    strongResults.clear();
+                },
+                /**
+                 * Takes the same arguments as `Function.prototype.call`, as the receiver of `delete` is the memoized
+                 * function itself rather than the `this` it was called with
+                 * @param {unknown} thisArg
+                 * @param {unknown[]} args
+                 */
+                delete(thisArg, ...args) {
+                    const { id, results } = cacheFor(thisArg, args);
+                    return deleteResult(results, id);
+                },
+            };
+            Object.defineProperties(memoized, {
+                name: { value: fn.name, configurable: true },
+                clear: { value: methods.clear, writable: true, configurable: true },
+                delete: { value: methods.delete, writable: true, configurable: true },
+            });
+            return /** @type {any} */ (memoized);
+        }
+
+        /**
+         * Field and accessor decorator registering the field as part of the key returned by `CompositeKey.keyFor`
+         * @param {unknown} _value
+         * @param {{ kind: string, name: string | symbol, static: boolean, metadata?: object, access: { get: (obj: object) => unknown } }} context
+         */
+        static field(_value, context) {
+            if (context?.kind !== "field" && context?.kind !== "accessor") {
+                throw new TypeError(`CompositeKey.field can only decorate fields and accessors`);
+            }
+            if (context.static) {
+                throw new TypeError(`CompositeKey.field cannot decorate static fields`);
+            }
+            const { metadata } = context;
+            if (metadata === undefined) {
+                throw new TypeError(`CompositeKey.field requires decorator metadata (Symbol.metadata)`);
+            }
+            if (!Object.hasOwn(metadata, KeyFieldsMetadata)) {
+                metadata[KeyFieldsMetadata] = [];
+            }
+            /** @type {KeyField[]} */ (metadata[KeyFieldsMetadata]).push({
+                name: context.name,
+                get: context.access.get,
+            });
+        }
+
+        /**
+         * Creates a key from the constructor of `obj` and the values of its fields decorated with `CompositeKey.field`,
+         * including those inherited from parent classes
+         * @param {object} obj
+         */
+        static keyFor(obj) {
+            const ctor = obj.constructor;
+            /** @type {KeyField[][]} */
+            const fieldsPerClass = [];
+            for (let metadata = ctor?.[SymbolMetadata]; metadata; metadata = Object.getPrototypeOf(metadata)) {
+                if (Object.hasOwn(metadata, KeyFieldsMetadata)) {
+                    fieldsPerClass.unshift(metadata[KeyFieldsMetadata]);
+                }
+            }
+            if (fieldsPerClass.length === 0) {
+                throw new TypeError(`${ctor?.name || "object"} has no fields decorated with CompositeKey.field`);
+            }
+            return new CompositeKey(
+                ctor,
+                ...fieldsPerClass.flat().map(({ name, get }) => atPath(name, () => trySymbol(get(obj)))),
+            );
+        }
+    }
+
+    /**
+     * Creates the function a collection uses to derive the internal key for a value, where CompositeKeys returned by
+     * the keyBy function are represented by their id, or by the result of `fromKey`
+     * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+     * @param {(key: CompositeKey) => unknown} [fromKey]
+     * @returns {(k: unknown) => unknown}
+     */
+    function keyByFromConfig(config, fromKey = getKeyIdentity) {
+        const keyByConfig = config?.keyBy;
+        const strict = Boolean(config?.strict);
+        if (keyByConfig === undefined) {
+            if (strict) {
+                throw new TypeError(`strict mode requires a keyBy function`);
+            }
+            return (v) => v;
+        }
+        if (typeof keyByConfig !== "function") {
+            throw new TypeError(`keyBy must be a function`);
+        }
+        return (v) => {
+            let k;
+            if (strict) {
+                k = strictKeyBy(keyByConfig, v);
+            } else {
+                // checked here to avoid creating a closure per lookup
+                k = strictPath === null ? keyByConfig(v) : outsideStrictMode(() => keyByConfig(v));
+            }
+            if (isCompositeKey(k)) {
+                k = fromKey(k);
+            }
+            return k;
+        };
+    }
+
+    /**
+     * A structured-clone-safe description of a Map or Set
+     * @typedef CollectionSnapshot
+     * @prop {"Map" | "Set"} type
+     * @prop {"identity" | "Symbol.keyBy"} keyBy
+     * @prop {boolean} strict
+     * @prop {unknown} data the entries or values, in the encoding of `encode`
+     */
+
+    /**
+     * @param {"Map" | "Set"} type
+     * @param {{ keyBy?: ((k) => unknown), strict?: boolean } | undefined} config
+     * @param {unknown[]} data
+     * @returns {CollectionSnapshot}
+     */
+    function createSnapshot(type, config, data) {
+        const keyBy = config?.keyBy;
+        if (keyBy !== undefined && keyBy !== trySymbol) {
+            throw new TypeError(`${type} with a custom keyBy function cannot be transported, only the default and usingKeys modes can`);
+        }
+        assertTransportable(type, data);
+        return {
+            type,
+            keyBy: keyBy === undefined ? "identity" : "Symbol.keyBy",
+            strict: Boolean(config?.strict),
+            data: encode(data),
+        };
+    }
+
+    /**
+     * Throws for objects with a `Symbol.keyBy` method other than Records, Tuples and CompositeKeys, as their copy would
+     * lose the method and no longer be keyed the same
+     * @param {"Map" | "Set"} type
+     * @param {unknown} value
+     */
+    function assertTransportable(type, value) {
+        if (!isObject(value) || isCompositeKey(value)) {
+            return;
+        }
+        const obj = /** @type {any} */ (value);
+        if (records.has(obj) || tuples.has(obj) || Array.isArray(obj) || isPlainObject(obj)) {
+            for (const k of Reflect.ownKeys(obj)) {
+                if (k !== SymbolKeyBy) {
+                    assertTransportable(type, obj[k]);
+                }
+            }
+        } else if (typeof obj[SymbolKeyBy] === "function") {
+            throw new TypeError(`${type} containing a value with its own Symbol.keyBy method cannot be transported, only Records, Tuples and CompositeKeys can`);
+        }
+    }
+
+    /**
+     * @param {"Map" | "Set"} type
+     * @param {CollectionSnapshot} snapshot
+     * @returns {{ config: { keyBy: ((k) => unknown), strict: boolean } | undefined, data: any }}
+     */
+    function readSnapshot(type, snapshot) {
+        if (snapshot?.type !== type) {
+            throw new TypeError(`expected a ${type} snapshot`);
+        }
+        const data = decode(snapshot.data);
+        switch (snapshot.keyBy) {
+            case "identity":
+                return { config: undefined, data };
+            case "Symbol.keyBy":
+                return { config: { keyBy: trySymbol, strict: Boolean(snapshot.strict) }, data };
+        }
+        throw new TypeError(`unknown keyBy mode in snapshot: ${snapshot.keyBy}`);
+    }
+
+    /** @private */
+    const IteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()));
+
+    /**
+     * Creates the class of the iterators returned by `keys()`, `values()` and `entries()`, which like the native
+     * iterators continue to see entries added during iteration and inherit from %IteratorPrototype%
+     * @param {string} tag
+     */
+    function createIteratorClass(tag) {
+        /** @template T */
+        class CollectionIterator {
+            /** @type {Iterator<any>} */
+            #inner;
+            /** @type {(v: any) => T} */
+            #project;
+
+            /**
+             * @param {Iterator<any>} inner
+             * @param {(v: any) => T} project
+             */
+            constructor(inner, project) {
+                this.#inner = inner;
+                this.#project = project;
+            }
+
+            /** @returns {IteratorResult<T, undefined>} */
+            next() {
+                const result = this.#inner.next();
+                if (result.done) {
+                    return { value: undefined, done: true };
+                }
+                return { value: this.#project(result.value), done: false };
+            }
+        }
+        Object.setPrototypeOf(CollectionIterator.prototype, IteratorPrototype);
+        Object.defineProperty(CollectionIterator.prototype, Symbol.toStringTag, { value: tag, configurable: true });
+        // Symbol.iterator is inherited from %IteratorPrototype%
+        return /** @type {new <T>(inner: Iterator<any>, project: (v: any) => T) => IterableIterator<T>} */ (
+            /** @type {unknown} */ (CollectionIterator)
+        );
+    }
+
+    /** @private */
+    const MapIterator = createIteratorClass("Map Iterator");
+    /** @private */
+    const SetIterator = createIteratorClass("Set Iterator");
+
+    /**
+     * Match the shape of the native constructor and prototype, which class syntax can not express
+     * @param {Function} ctor
+     * @param {string} name
+     * @param {string} [iteratorMethod] the method that is also `Symbol.iterator`, if the collection is iterable
+     */
+    function defineBuiltinShape(ctor, name, iteratorMethod) {
+        Object.defineProperty(ctor, "name", { value: name, configurable: true });
+        Object.defineProperty(ctor, "length", { value: 0, configurable: true });
+        Object.defineProperty(ctor.prototype, Symbol.toStringTag, { value: name, configurable: true });
+        if (iteratorMethod === undefined) {
+            return;
+        }
+        Object.defineProperty(ctor.prototype, Symbol.iterator, {
+            value: ctor.prototype[iteratorMethod],
+            writable: true,
+            configurable: true,
+        });
+    }
+
+    /**
+     * Call `adder` on `target` for each entry of an iterable, as the Map and Set constructors do
+     * @param {object} target
+     * @param {unknown} iterable
+     * @param {string} adderName
+     * @param {(adder: Function, item: unknown) => void} add
+     */
+    function addEntriesFromIterable(target, iterable, adderName, add) {
+        if (iterable === undefined || iterable === null) {
+            return;
+        }
+        const adder = target[adderName];
+        if (typeof adder !== "function") {
+            throw new TypeError(`${adderName} must be a function`);
+        }
+        for (const item of /** @type {Iterable<unknown>} */ (iterable)) {
+            add(adder, item);
+        }
+    }
+
+    /** @public */
+    class MapPolyfill {
+        #state = new OriginalMap();
+        #keyBy;
+        #config;
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            this.#keyBy = keyByFromConfig(config);
+            this.#config = config;
+
+            addEntriesFromIterable(this, values, "set", (set, entry) => {
+                if (!isObject(entry)) {
+                    throw new TypeError(`iterator value ${String(entry)} is not an entry object`);
+                }
+                Reflect.apply(set, this, [entry[0], entry[1]]);
+            });
+        }
+
+        get size() {
+            return this.#state.size;
+        }
+
+        clear() {
+            this.#state.clear();
+        }
+
+        get(k) {
+            return this.#state.get(this.#keyBy(k))?.[1];
+        }
+
+        has(k) {
+            return this.#state.has(this.#keyBy(k));
+        }
+
+        set(k, v) {
+            const key = this.#keyBy(k);
+            const entry = this.#state.get(key);
+            if (entry !== undefined) {
+                // like the native Map the existing key is kept, and the entry keeps its position
+                entry[1] = v;
+            } else {
+                this.#state.set(key, [normalizeZero(k), v]);
+            }
+            return this;
+        }
+
+        getOrInsert(k, v) {
+            const key = this.#keyBy(k);
+            const entry = this.#state.get(key);
+            if (entry !== undefined) {
+                return entry[1];
+            }
+            this.#state.set(key, [normalizeZero(k), v]);
+            return v;
+        }
+
+        getOrInsertComputed(k, callbackfn) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            const key = this.#keyBy(k);
+            const entry = this.#state.get(key);
+            if (entry !== undefined) {
+                return entry[1];
+            }
+            const v = callbackfn(k);
+            // the callback may have inserted the key itself, its value is overwritten but the key is kept
+            const current = this.#state.get(key);
+            if (current !== undefined) {
+                current[1] = v;
+            } else {
+                this.#state.set(key, [normalizeZero(k), v]);
+            }
+            return v;
+        }
+
+        delete(k) {
+            return this.#state.delete(this.#keyBy(k));
+        }
+
+        /**
+         * @param {(value: any, key: any, map: MapPolyfill) => void} callbackfn
+         * @param {unknown} [thisArg]
+         */
+        forEach(callbackfn, thisArg = undefined) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            // iterating the native map visits entries added by the callback, and skips those it deletes
+            for (const entry of this.#state.values()) {
+                Reflect.apply(callbackfn, thisArg, [entry[1], entry[0], this]);
+            }
+        }
+
+        keys() {
+            return new MapIterator(this.#state.values(), entry => entry[0]);
+        }
+
+        values() {
+            return new MapIterator(this.#state.values(), entry => entry[1]);
+        }
+
+        /** @returns {IterableIterator<[any, any]>} */
+        entries() {
+            return new MapIterator(this.#state.values(), entry => [entry[0], entry[1]]);
+        }
+
+        /** @returns {IterableIterator<[any, any]>} */
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+
+        /**
+         * Native Maps, which existed before the global was replaced, are also instances of Map
+         * @param {unknown} v
+         */
+        static [Symbol.hasInstance](v) {
+            return Function.prototype[Symbol.hasInstance].call(this, v) || (this === MapPolyfill && v instanceof OriginalMap);
+        }
+
+        static get [Symbol.species]() {
+            return this;
+        }
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+
+        /**
+         * A snapshot that can be passed to `structuredClone` or `postMessage`, and restored with `Map.fromSnapshot`.
+         * Throws if the map uses a custom keyBy function.
+         * @returns {CollectionSnapshot}
+         */
+        toSnapshot() {
+            return createSnapshot("Map", this.#config, [...this.entries()]);
+        }
+
+        /**
+         * @param {CollectionSnapshot} snapshot
+         */
+        static fromSnapshot(snapshot) {
+            const { config, data } = readSnapshot("Map", snapshot);
+            return new this(data, config);
+        }
+
+        /**
+         * Map.groupBy, with the returned map created using `config`
+         * @param {Iterable<any>} items
+         * @param {(value: any, index: number) => unknown} callbackfn
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        static groupBy(items, callbackfn, config) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            const groups = new MapPolyfill(null, config);
+            let index = 0;
+            for (const value of items) {
+                let key = callbackfn(value, index++);
+                if (key === 0) {
+                    // normalize -0
+                    key = 0;
+                }
+                groups.getOrInsertComputed(key, () => []).push(value);
+            }
+            return groups;
+        }
+
+        /**
+         * Map.groupBy, returning a map created with `Map.usingKeys`
+         * @param {Iterable<any>} items
+         * @param {(value: any, index: number) => unknown} callbackfn
+         * @param {{ strict?: boolean }} [options]
+         */
+        static groupByKeys(items, callbackfn, options) {
+            return MapPolyfill.groupBy(items, callbackfn, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    defineBuiltinShape(MapPolyfill, "Map", "entries");
+
+    /**
+     * Map and Set keys are normalized from -0 to +0
+     * @param {unknown} k
+     */
+    function normalizeZero(k) {
+        return k === 0 ? 0 : k;
+    }
+
+    /**
+     * @typedef SetRecord
+     * @prop {number} size
+     * @prop {(v: unknown) => boolean} has
+     * @prop {() => Iterable<unknown>} keys
+     */
+
+    /**
+     * GetSetRecord from the ES2025 Set methods, reading a set-like object via its `size`, `has` and `keys`
+     * @param {any} obj
+     * @returns {SetRecord}
+     */
+    function getSetRecord(obj) {
+        if (!isObject(obj)) {
+            throw new TypeError(`set-like argument must be an object`);
+        }
+        const numSize = +obj.size;
+        if (Number.isNaN(numSize)) {
+            throw new TypeError(`set-like argument must have a numeric size`);
+        }
+        const size = Math.trunc(numSize) || 0;
+        if (size < 0) {
+            throw new RangeError(`set-like argument must not have a negative size`);
+        }
+        const { has, keys } = obj;
+        if (typeof has !== "function") {
+            throw new TypeError(`set-like argument must have a has method`);
+        }
+        if (typeof keys !== "function") {
+            throw new TypeError(`set-like argument must have a keys method`);
+        }
+        return {
+            size,
+            has: (v) => Boolean(Reflect.apply(has, obj, [v])),
+            keys: () => {
+                const iterator = Reflect.apply(keys, obj, []);
+                if (!isObject(iterator)) {
+                    throw new TypeError(`set-like argument keys() must return an iterator`);
+                }
+                const next = iterator.next;
+                return {
+                    [Symbol.iterator]: () => ({
+                        next: () => Reflect.apply(next, iterator, []),
+                        return: () => iterator.return?.() ?? { done: true, value: undefined },
+                    }),
+                };
+            },
+        };
+    }
+
+    class SetPolyFill {
+        #state;
+        #config;
+
+        /**
+         * @param {Iterable<any> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            this.#state = new MapPolyfill(null, config);
+            this.#config = config;
+
+            addEntriesFromIterable(this, values, "add", (add, v) => {
+                Reflect.apply(add, this, [v]);
+            });
+        }
+
+        /**
+         * Adds `v` unless an equal value is already present, keeping the original
+         * @param {unknown} v
+         */
+        #add(v) {
+            this.#state.getOrInsert(v, normalizeZero(v));
+        }
+
+        /**
+         * Membership is always decided by the receiver's keyBy, so unless the argument is known to use the same
+         * keyBy its keys are first collected into a set that does. Set-likes that are not a Set are assumed to
+         * use SameValueZero.
+         * @param {any} other
+         * @returns {SetRecord}
+         */
+        #setRecordFor(other) {
+            const record = getSetRecord(other);
+            const keyBy = this.#config?.keyBy;
+            const sameKeyBy = #state in other
+                ? other.#config?.keyBy === keyBy
+                : keyBy === undefined;
+            if (sameKeyBy) {
+                return record;
+            }
+            const keyed = this.#empty();
+            for (const v of record.keys()) {
+                keyed.#add(v);
+            }
+            return {
+                size: keyed.size,
+                has: (v) => keyed.#state.has(v),
+                keys: () => keyed.#state.keys(),
+            };
+        }
+
+        /** @returns {SetPolyFill} */
+        #empty() {
+            return new SetPolyFill(null, this.#config);
+        }
+
+        /** @returns {SetPolyFill} */
+        #copy() {
+            const result = this.#empty();
+            for (const v of this.#state.keys()) {
+                result.#add(v);
+            }
+            return result;
+        }
+
+        get size() {
+            return this.#state.size;
+        }
+
+        add(v) {
+            this.#add(v);
+            return this;
+        }
+
+        has(v) {
+            return this.#state.has(v);
+        }
+
+        delete(v) {
+            return this.#state.delete(v);
+        }
+
+        clear() {
+            this.#state.clear();
+        }
+
+        union(other) {
+            const record = this.#setRecordFor(other);
+            const result = this.#copy();
+            for (const v of record.keys()) {
+                result.#add(v);
+            }
+            return result;
+        }
+
+        intersection(other) {
+            const record = this.#setRecordFor(other);
+            const result = this.#empty();
+            if (this.size <= record.size) {
+                for (const v of this.#state.keys()) {
+                    if (record.has(v)) {
+                        result.#add(v);
+                    }
+                }
+            } else {
+                for (const v of record.keys()) {
+                    if (this.#state.has(v)) {
+                        // keep the receiver's element
+                        result.#add(this.#state.get(v));
+                    }
+                }
+            }
+            return result;
+        }
+
+        difference(other) {
+            const record = this.#setRecordFor(other);
+            const result = this.#copy();
+            if (this.size <= record.size) {
+                for (const v of this.#state.keys()) {
+                    if (record.has(v)) {
+                        result.#state.delete(v);
+                    }
+                }
+            } else {
+                for (const v of record.keys()) {
+                    result.#state.delete(v);
+                }
+            }
+            return result;
+        }
+
+        symmetricDifference(other) {
+            const record = this.#setRecordFor(other);
+            const result = this.#copy();
+            for (const v of record.keys()) {
+                if (this.#state.has(v)) {
+                    result.#state.delete(v);
+                } else {
+                    result.#add(v);
+                }
+            }
+            return result;
+        }
+
+        isSubsetOf(other) {
+            const record = this.#setRecordFor(other);
+            if (this.size > record.size) {
+                return false;
+            }
+            for (const v of this.#state.keys()) {
+                if (!record.has(v)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        isSupersetOf(other) {
+            const record = this.#setRecordFor(other);
+            if (this.size < record.size) {
+                return false;
+            }
+            for (const v of record.keys()) {
+                if (!this.#state.has(v)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        isDisjointFrom(other) {
+            const record = this.#setRecordFor(other);
+            if (this.size <= record.size) {
+                for (const v of this.#state.keys()) {
+                    if (record.has(v)) {
+                        return false;
+                    }
+                }
+            } else {
+                for (const v of record.keys()) {
+                    if (this.#state.has(v)) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        }
+
+        /**
+         * @param {(value: any, key: any, set: SetPolyFill) => void} callbackfn
+         * @param {unknown} [thisArg]
+         */
+        forEach(callbackfn, thisArg = undefined) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            this.#state.forEach((v) => {
+                Reflect.apply(callbackfn, thisArg, [v, v, this]);
+            });
+        }
+
+        values() {
+            return new SetIterator(this.#state.values(), v => v);
+        }
+
+        /** @returns {IterableIterator<[any, any]>} */
+        entries() {
+            return new SetIterator(this.#state.values(), v => [v, v]);
+        }
+
+        /**
+         * Native Sets, which existed before the global was replaced, are also instances of Set
+         * @param {unknown} v
+         */
+        static [Symbol.hasInstance](v) {
+            return Function.prototype[Symbol.hasInstance].call(this, v) || (this === SetPolyFill && v instanceof OriginalSet);
+        }
+
+        static get [Symbol.species]() {
+            return this;
+        }
+
+        /**
+         * A snapshot that can be passed to `structuredClone` or `postMessage`, and restored with `Set.fromSnapshot`.
+         * Throws if the set uses a custom keyBy function.
+         * @returns {CollectionSnapshot}
+         */
+        toSnapshot() {
+            return createSnapshot("Set", this.#config, [...this.#state.values()]);
+        }
+
+        /**
+         * @param {CollectionSnapshot} snapshot
+         */
+        static fromSnapshot(snapshot) {
+            const { config, data } = readSnapshot("Set", snapshot);
+            return new this(data, config);
+        }
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    // like the native Set, keys() is the same function as values()
+    Object.defineProperty(SetPolyFill.prototype, "keys", {
+        value: SetPolyFill.prototype.values,
+        writable: true,
+        configurable: true,
+    });
+    defineBuiltinShape(SetPolyFill, "Set", "values");
+
+    /**
+     * @param {((k) => unknown) | { keyBy?: ((k) => unknown), strict?: boolean } | undefined} config
+     * @returns {{ keyBy: ((k) => unknown), strict?: boolean }}
+     */
+    function distinctConfig(config) {
+        if (typeof config === "function") {
+            return { keyBy: config };
+        }
+        return { keyBy: config?.keyBy ?? trySymbol, strict: config?.strict };
+    }
+
+    /**
+     * Lazily yields the first occurrence of each value, compared using `Symbol.keyBy` unless a keyBy is given
+     * @public
+     * @template T
+     * @param {Iterable<T>} iterable
+     * @param {((k: T) => unknown) | { keyBy?: ((k: T) => unknown), strict?: boolean }} [config]
+     * @returns {Generator<T, undefined, unknown>}
+     */
+    function* distinct(iterable, config) {
+        const seen = new SetPolyFill(null, distinctConfig(config));
+        for (const v of iterable) {
+            const size = seen.size;
+            seen.add(v);
+            if (seen.size !== size) {
+                yield v;
+            }
+        }
+    }
+
+    /**
+     * The first occurrence of each value, compared using `Symbol.keyBy` unless a keyBy is given
+     * @public
+     * @template T
+     * @param {Iterable<T>} iterable
+     * @param {((k: T) => unknown) | { keyBy?: ((k: T) => unknown), strict?: boolean }} [config]
+     * @returns {T[]}
+     */
+    function uniqueBy(iterable, config) {
+        return [...distinct(iterable, config)];
+    }
+
+    /** @public */
+    class WeakMapPolyfill {
+        #state = new OriginalWeakMap();
+        /** @type {(k: unknown) => any} */
+        #lookupKey;
+        /** @type {(k: unknown) => any} */
+        #insertKey;
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            // a key that can not be held weakly is never present
+            this.#lookupKey = keyByFromConfig(config, (k) => keyCanBeHeldWeakly(k) ? getKeyIdentity(k) : undefined);
+            this.#insertKey = keyByFromConfig(config, (k) => {
+                if (!keyCanBeHeldWeakly(k)) {
+                    throw new TypeError(`CompositeKey cannot be held weakly, it requires at least one component that is an object or a non-registered symbol`);
+                }
+                return getKeyIdentity(k);
+            });
+
+            if (values) {
+                for (const [k, v] of values) {
+                    this.set(k, v);
+                }
+            }
+        }
+
+        get(k) {
+            return this.#state.get(this.#lookupKey(k));
+        }
+
+        has(k) {
+            return this.#state.has(this.#lookupKey(k));
+        }
+
+        #keyForInsert(k) {
+            const key = this.#insertKey(k);
+            if (!valueWithIdentity(key)) {
+                throw new TypeError(`Invalid value used as weak map key`);
+            }
+            return key;
+        }
+
+        #insert(key, v) {
+            if (!this.#state.has(key) && AbstractNode.nodeForId(key) !== undefined) {
+                // like a native entry, the id lives for as long as the objects it was created from, until it is deleted
+                AbstractNode.pin(key, this);
+            }
+            this.#state.set(key, v);
+        }
+
+        set(k, v) {
+            this.#insert(this.#keyForInsert(k), v);
+            return this;
+        }
+
+        getOrInsert(k, v) {
+            const key = this.#keyForInsert(k);
+            if (this.#state.has(key)) {
+                return this.#state.get(key);
+            }
+            this.#insert(key, v);
+            return v;
+        }
+
+        getOrInsertComputed(k, callbackfn) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            const key = this.#keyForInsert(k);
+            if (this.#state.has(key)) {
+                return this.#state.get(key);
+            }
+            const v = callbackfn(k);
+            this.#insert(key, v);
+            return v;
+        }
+
+        delete(k) {
+            const key = this.#lookupKey(k);
+            const deleted = this.#state.delete(key);
+            if (deleted) {
+                AbstractNode.unpin(key, this);
+            }
+            return deleted;
+        }
+
+        /**
+         * Native WeakMaps, which existed before the global was replaced, are also instances of WeakMap
+         * @param {unknown} v
+         */
+        static [Symbol.hasInstance](v) {
+            return Function.prototype[Symbol.hasInstance].call(this, v) || (this === WeakMapPolyfill && v instanceof OriginalWeakMap);
+        }
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    defineBuiltinShape(WeakMapPolyfill, "WeakMap");
+
+    /** @public */
+    class WeakSetPolyfill {
+        #state;
+
+        /**
+         * @param {ReadonlyArray<any> | Iterable<any> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            this.#state = new WeakMapPolyfill(null, config);
+            if (values) {
+                for (const v of values) {
+                    this.add(v);
+                }
+            }
+        }
+
+        add(v) {
+            this.#state.set(v, true);
+            return this;
+        }
+
+        has(v) {
+            return this.#state.has(v);
+        }
+
+        delete(v) {
+            return this.#state.delete(v);
+        }
+
+        /**
+         * Native WeakSets, which existed before the global was replaced, are also instances of WeakSet
+         * @param {unknown} v
+         */
+        static [Symbol.hasInstance](v) {
+            return Function.prototype[Symbol.hasInstance].call(this, v) || (this === WeakSetPolyfill && v instanceof OriginalWeakSet);
+        }
+
+        /**
+         * @param {ReadonlyArray<any> | Iterable<any> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    defineBuiltinShape(WeakSetPolyfill, "WeakSet");
+
+    /**
+     * @typedef TreeNode
+     * @prop {unknown} key
+     * @prop {[any, any]} entry
+     * @prop {TreeNode | null} left
+     * @prop {TreeNode | null} right
+     * @prop {number} height
+     */
+
+    /**
+     * AVL tree ordered by `compareComponents`
+     * @private
+     */
+    class SortedTree {
+        /** @type {TreeNode | null} */
+        #root = null;
+        #size = 0;
+
+        /** @param {TreeNode | null} n */
+        static #height(n) {
+            return n === null ? 0 : n.height;
+        }
+
+        /** @param {TreeNode} n */
+        static #update(n) {
+            n.height = 1 + Math.max(SortedTree.#height(n.left), SortedTree.#height(n.right));
+        }
+
+        /**
+         * @param {TreeNode} n
+         * @returns {TreeNode}
+         */
+        static #rotateRight(n) {
+            const l = /** @type {TreeNode} */ (n.left);
+            n.left = l.right;
+            l.right = n;
+            SortedTree.#update(n);
+            SortedTree.#update(l);
+            return l;
+        }
+
+        /**
+         * @param {TreeNode} n
+         * @returns {TreeNode}
+         */
+        static #rotateLeft(n) {
+            const r = /** @type {TreeNode} */ (n.right);
+            n.right = r.left;
+            r.left = n;
+            SortedTree.#update(n);
+            SortedTree.#update(r);
+            return r;
+        }
+
+        /**
+         * @param {TreeNode} n
+         * @returns {TreeNode}
+         */
+        static #balance(n) {
+            SortedTree.#update(n);
+            const height = SortedTree.#height;
+            const factor = height(n.left) - height(n.right);
+            if (factor > 1) {
+                const l = /** @type {TreeNode} */ (n.left);
+                if (height(l.left) < height(l.right)) {
+                    n.left = SortedTree.#rotateLeft(l);
+                }
+                return SortedTree.#rotateRight(n);
+            }
+            if (factor < -1) {
+                const r = /** @type {TreeNode} */ (n.right);
+                if (height(r.right) < height(r.left)) {
+                    n.right = SortedTree.#rotateRight(r);
+                }
+                return SortedTree.#rotateLeft(n);
+            }
+            return n;
+        }
+
+        get size() {
+            return this.#size;
+        }
+
+        clear() {
+            this.#root = null;
+            this.#size = 0;
+        }
+
+        /**
+         * @param {unknown} key
+         * @returns {TreeNode | undefined}
+         */
+        get(key) {
+            let n = this.#root;
+            while (n !== null) {
+                const c = compareComponents(key, n.key);
+                if (c === 0) return n;
+                n = c < 0 ? n.left : n.right;
+            }
+            return undefined;
+        }
+
+        /**
+         * Insert a new node, the key must not already be in the tree
+         * @param {unknown} key
+         * @param {[any, any]} entry
+         */
+        insert(key, entry) {
+            /** @type {(n: TreeNode | null) => TreeNode} */
+            const insert = (n) => {
+                if (n === null) {
+                    return { key, entry, left: null, right: null, height: 1 };
+                }
+                if (compareComponents(key, n.key) < 0) {
+                    n.left = insert(n.left);
+                } else {
+                    n.right = insert(n.right);
+                }
+                return SortedTree.#balance(n);
+            };
+            this.#root = insert(this.#root);
+            this.#size++;
+        }
+
+        /**
+         * @param {unknown} key
+         * @returns {boolean}
+         */
+        delete(key) {
+            let deleted = false;
+            /** @type {(n: TreeNode) => TreeNode | null} */
+            const deleteMin = (n) => {
+                if (n.left === null) return n.right;
+                n.left = deleteMin(n.left);
+                return SortedTree.#balance(n);
+            };
+            /** @type {(n: TreeNode | null) => TreeNode | null} */
+            const remove = (n) => {
+                if (n === null) return null;
+                const c = compareComponents(key, n.key);
+                if (c < 0) {
+                    n.left = remove(n.left);
+                } else if (c > 0) {
+                    n.right = remove(n.right);
+                } else {
+                    deleted = true;
+                    if (n.left === null) return n.right;
+                    if (n.right === null) return n.left;
+                    let successor = n.right;
+                    while (successor.left !== null) successor = successor.left;
+                    successor.right = deleteMin(n.right);
+                    successor.left = n.left;
+                    n = successor;
+                }
+                return SortedTree.#balance(n);
+            };
+            this.#root = remove(this.#root);
+            if (deleted) {
+                this.#size--;
+            }
+            return deleted;
+        }
+
+        /**
+         * The node with the smallest key greater than `key`, or equal to it when `inclusive`
+         * @param {unknown} key
+         * @param {boolean} inclusive
+         * @returns {TreeNode | undefined}
+         */
+        ceiling(key, inclusive) {
+            let n = this.#root;
+            /** @type {TreeNode | undefined} */
+            let found;
+            while (n !== null) {
+                const c = compareComponents(key, n.key);
+                if (c < 0 || (inclusive && c === 0)) {
+                    found = n;
+                    if (c === 0) break;
+                    n = n.left;
+                } else {
+                    n = n.right;
+                }
+            }
+            return found;
+        }
+
+        /**
+         * The node with the largest key less than `key`, or equal to it when `inclusive`
+         * @param {unknown} key
+         * @param {boolean} inclusive
+         * @returns {TreeNode | undefined}
+         */
+        floor(key, inclusive) {
+            let n = this.#root;
+            /** @type {TreeNode | undefined} */
+            let found;
+            while (n !== null) {
+                const c = compareComponents(key, n.key);
+                if (c > 0 || (inclusive && c === 0)) {
+                    found = n;
+                    if (c === 0) break;
+                    n = n.right;
+                } else {
+                    n = n.left;
+                }
+            }
+            return found;
+        }
+
+        /** @returns {TreeNode | undefined} */
+        first() {
+            let n = this.#root;
+            if (n === null) return undefined;
+            while (n.left !== null) n = n.left;
+            return n;
+        }
+
+        /**
+         * Iterate the nodes in order starting from `node`. Each step looks up the next key so the tree can be modified
+         * during iteration.
+         * @param {TreeNode | undefined} node
+         * @returns {Generator<TreeNode, void, unknown>}
+         */
+        *from(node) {
+            while (node !== undefined) {
+                yield node;
+                node = this.ceiling(node.key, false);
+            }
+        }
+    }
+
+    /**
+     * Does `key`, the internal key of an entry, start with the components of `prefix`
+     * @param {unknown} key
+     * @param {ReadonlyArray<unknown>} prefix
+     * @returns {boolean}
+     */
+    function hasPrefix(key, prefix) {
+        if (!isKeyId(key)) {
+            return false;
+        }
+        const components = componentsForId(/** @type {OpaqueId} */ (key));
+        if (components.length < prefix.length) {
+            return false;
+        }
+        return prefix.every((v, i) => compareComponents(v, components[i]) === 0);
+    }
+
+    /**
+     * A Map whose entries are ordered by `CompositeKey.compare` of their keys
+     * @public
+     */
+    class SortedMap {
+        #tree = new SortedTree();
+        #keyBy;
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            this.#keyBy = keyByFromConfig(config);
+
+            addEntriesFromIterable(this, values, "set", (set, entry) => {
+                if (!isObject(entry)) {
+                    throw new TypeError(`iterator value ${String(entry)} is not an entry object`);
+                }
+                Reflect.apply(set, this, [entry[0], entry[1]]);
+            });
+        }
+
+        get size() {
+            return this.#tree.size;
+        }
+
+        clear() {
+            this.#tree.clear();
+        }
+
+        get(k) {
+            return this.#tree.get(this.#keyBy(k))?.entry[1];
+        }
+
+        has(k) {
+            return this.#tree.get(this.#keyBy(k)) !== undefined;
+        }
+
+        set(k, v) {
+            const key = this.#keyBy(k);
+            const node = this.#tree.get(key);
+            if (node === undefined) {
+                this.#tree.insert(key, [normalizeZero(k), v]);
+            } else {
+                node.entry[1] = v;
+            }
+            return this;
+        }
+
+        delete(k) {
+            return this.#tree.delete(this.#keyBy(k));
+        }
+
+        /**
+         * The entry with the greatest key less than or equal to `k`
+         * @returns {[any, any] | undefined}
+         */
+        floor(k) {
+            const node = this.#tree.floor(this.#keyBy(k), true);
+            return node && [node.entry[0], node.entry[1]];
+        }
+
+        /**
+         * The entry with the smallest key greater than or equal to `k`
+         * @returns {[any, any] | undefined}
+         */
+        ceiling(k) {
+            const node = this.#tree.ceiling(this.#keyBy(k), true);
+            return node && [node.entry[0], node.entry[1]];
+        }
+
+        /**
+         * The entries with keys from `from` (inclusive) up to `to` (exclusive)
+         * @returns {Generator<[any, any], void, unknown>}
+         */
+        *range(from, to) {
+            const fromKey = this.#keyBy(from);
+            const toKey = this.#keyBy(to);
+            for (const node of this.#tree.from(this.#tree.ceiling(fromKey, true))) {
+                if (compareComponents(node.key, toKey) >= 0) {
+                    return;
+                }
+                yield [node.entry[0], node.entry[1]];
+            }
+        }
+
+        /**
+         * The entries whose key is a CompositeKey starting with the components of the key for `prefix`,
+         * e.g. `Tuple(userId)` for the keys `Tuple(userId, timestamp)`
+         * @returns {Generator<[any, any], void, unknown>}
+         */
+        *prefix(prefix) {
+            const prefixKey = this.#keyBy(prefix);
+            if (!isKeyId(prefixKey)) {
+                throw new TypeError(`prefix must be keyed by a CompositeKey`);
+            }
+            const components = componentsForId(/** @type {OpaqueId} */ (prefixKey));
+            for (const node of this.#tree.from(this.#tree.ceiling(prefixKey, true))) {
+                if (!hasPrefix(node.key, components)) {
+                    return;
+                }
+                yield [node.entry[0], node.entry[1]];
+            }
+        }
+
+        forEach(callbackfn, thisArg = undefined) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            for (const [k, v] of this.entries()) {
+                callbackfn.call(thisArg, v, k, this);
+            }
+        }
+
+        *keys() {
+            for (const node of this.#tree.from(this.#tree.first())) {
+                yield node.entry[0];
+            }
+        }
+
+        *values() {
+            for (const node of this.#tree.from(this.#tree.first())) {
+                yield node.entry[1];
+            }
+        }
+
+        *entries() {
+            for (const node of this.#tree.from(this.#tree.first())) {
+                yield /** @type {[any, any]} */ ([node.entry[0], node.entry[1]]);
+            }
+        }
+
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+
+        get [Symbol.toStringTag]() {
+            return "SortedMap";
+        }
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    /**
+     * A Set whose values are ordered by `CompositeKey.compare`
+     * @public
+     */
+    class SortedSet {
+        #state;
+
+        /**
+         * @param {ReadonlyArray<any> | Iterable<any> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            this.#state = new SortedMap(null, config);
+            if (values) {
+                for (const v of values) {
+                    this.add(v);
+                }
+            }
+        }
+
+        get size() {
+            return this.#state.size;
+        }
+
+        add(v) {
+            if (!this.#state.has(v)) {
+                this.#state.set(v, v);
+            }
+            return this;
+        }
+
+        has(v) {
+            return this.#state.has(v);
+        }
+
+        delete(v) {
+            return this.#state.delete(v);
+        }
+
+        clear() {
+            this.#state.clear();
+        }
+
+        /** The greatest value less than or equal to `v` */
+        floor(v) {
+            return this.#state.floor(v)?.[0];
+        }
+
+        /** The smallest value greater than or equal to `v` */
+        ceiling(v) {
+            return this.#state.ceiling(v)?.[0];
+        }
+
+        /** The values from `from` (inclusive) up to `to` (exclusive) */
+        *range(from, to) {
+            for (const [v] of this.#state.range(from, to)) {
+                yield v;
+            }
+        }
+
+        /** The values whose key is a CompositeKey starting with the components of the key for `prefix` */
+        *prefix(prefix) {
+            for (const [v] of this.#state.prefix(prefix)) {
+                yield v;
+            }
+        }
+
+        forEach(callbackfn, thisArg = undefined) {
+            if (typeof callbackfn !== "function") {
+                throw new TypeError(`callbackfn must be a function`);
+            }
+            for (const v of this.#state.keys()) {
+                callbackfn.call(thisArg, v, v, this);
+            }
+        }
+
+        keys() {
+            return this.#state.keys();
+        }
+
+        values() {
+            return this.#state.keys();
+        }
+
+        entries() {
+            return this.#state.entries();
+        }
+
+        [Symbol.iterator]() {
+            return this.keys();
+        }
+
+        get [Symbol.toStringTag]() {
+            return "SortedSet";
+        }
+
+        /**
+         * @param {ReadonlyArray<any> | Iterable<any> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    /**
+     * A one-to-many Map from each key to the values added for it. The keys are compared like a Map created with the same
+     * `{ keyBy }` config, and are iterated in the order they were first added. By default each key has a list of values
+     * in the order they were added, with `values: "set"` equal values (compared using `Symbol.keyBy`) are only kept
+     * once. Keys are removed once they have no values left.
+     * @public
+     */
+    class MultiMap {
+        /** @type {MapPolyfill} */
+        #buckets;
+        #asSet;
+        #strict;
+
+        /** keys the values of strict `values: "set"` buckets, so that errors name the value rather than the key */
+        static #strictValueKeyBy = (v) => strictKeyBy(trySymbol, v, "value");
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean, values?: "list" | "set" }} [config]
+         */
+        constructor(values, config) {
+            const valuesConfig = config?.values ?? "list";
+            if (valuesConfig !== "list" && valuesConfig !== "set") {
+                throw new TypeError(`values must be "list" or "set"`);
+            }
+            this.#buckets = new MapPolyfill(null, config);
+            this.#asSet = valuesConfig === "set";
+            this.#strict = Boolean(config?.strict);
+
+            if (values) {
+                for (const [k, v] of values) {
+                    this.add(k, v);
+                }
+            }
+        }
+
+        /** The number of keys */
+        get size() {
+            return this.#buckets.size;
+        }
+
+        add(k, v) {
+            const existing = this.#buckets.get(k);
+            const bucket = existing ?? (this.#asSet ? this.#newSetBucket() : []);
+            if (this.#asSet) {
+                // in strict mode this throws for values without Symbol.keyBy, before a new bucket is stored
+                bucket.add(v);
+            } else {
+                bucket.push(v);
+            }
+            if (existing === undefined) {
+                this.#buckets.set(k, bucket);
+            }
+            return this;
+        }
+
+        #newSetBucket() {
+            return this.#strict
+                ? new SetPolyFill(null, { keyBy: MultiMap.#strictValueKeyBy })
+                : SetPolyFill.usingKeys();
+        }
+
+        /**
+         * Remove one value equal to `v` from the values of `k`, compared using `Symbol.keyBy`
+         * @returns {boolean} if a value was removed
+         */
+        remove(k, v) {
+            const bucket = this.#buckets.get(k);
+            if (bucket === undefined) {
+                return false;
+            }
+            if (this.#asSet) {
+                if (!bucket.delete(v)) {
+                    return false;
+                }
+            } else {
+                const index = bucket.findIndex((/** @type {unknown} */ value) => equalValues(value, v));
+                if (index === -1) {
+                    return false;
+                }
+                bucket.splice(index, 1);
+            }
+            if (this.#sizeOf(bucket) === 0) {
+                this.#buckets.delete(k);
+            }
+            return true;
+        }
+
+        /**
+         * Remove `k` and all of its values
+         */
+        delete(k) {
+            return this.#buckets.delete(k);
+        }
+
+        has(k) {
+            return this.#buckets.has(k);
+        }
+
+        /** The number of values of `k` */
+        count(k) {
+            const bucket = this.#buckets.get(k);
+            return bucket === undefined ? 0 : this.#sizeOf(bucket);
+        }
+
+        /** @param {any[] | SetPolyFill} bucket */
+        #sizeOf(bucket) {
+            return Array.isArray(bucket) ? bucket.length : bucket.size;
+        }
+
+        /**
+         * A copy of the values of `k`, empty if there are none
+         * @returns {any[]}
+         */
+        get(k) {
+            const bucket = this.#buckets.get(k);
+            return bucket === undefined ? [] : Array.from(bucket);
+        }
+
+        clear() {
+            this.#buckets.clear();
+        }
+
+        keys() {
+            return this.#buckets.keys();
+        }
+
+        /**
+         * Every value, grouped by key
+         */
+        *values() {
+            for (const bucket of this.#buckets.values()) {
+                yield* bucket;
+            }
+        }
+
+        /**
+         * A `[key, value]` pair for every value, grouped by key
+         * @returns {Generator<[any, any], void, unknown>}
+         */
+        *entries() {
+            for (const [k, bucket] of this.#buckets.entries()) {
+                for (const v of bucket) {
+                    yield [k, v];
+                }
+            }
+        }
+
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+
+        get [Symbol.toStringTag]() {
+            return "MultiMap";
+        }
+
+        /**
+         * @param {ReadonlyArray<ReadonlyArray<any>> | Iterable<ReadonlyArray<any>> | null} [values]
+         * @param {{ strict?: boolean, values?: "list" | "set" }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict, values: options?.values });
+        }
+    }
+
+    /**
+     * A multiset counting the occurrences of each value, compared like a Set created with the same `{ keyBy }` config.
+     * Values are iterated in the order they were first added, and removed once their count reaches zero.
+     * @public
+     */
+    class Bag {
+        /** @type {MapPolyfill} */
+        #counts;
+
+        /**
+         * @param {ReadonlyArray<any> | Iterable<any> | null} [values]
+         * @param {{ keyBy?: ((k) => unknown), strict?: boolean }} [config]
+         */
+        constructor(values, config) {
+            this.#counts = new MapPolyfill(null, config);
+            if (values) {
+                for (const v of values) {
+                    this.add(v);
+                }
+            }
+        }
+
+        /** The number of distinct values */
+        get size() {
+            return this.#counts.size;
+        }
+
+        /**
+         * @param {unknown} v
+         * @param {number} [count]
+         */
+        add(v, count = 1) {
+            checkCount(count);
+            if (count > 0) {
+                this.#counts.set(v, (this.#counts.get(v) ?? 0) + count);
+            }
+            return this;
+        }
+
+        /**
+         * Remove up to `count` occurrences of `v`
+         * @param {unknown} v
+         * @param {number} [count]
+         * @returns {boolean} if any were removed
+         */
+        remove(v, count = 1) {
+            checkCount(count);
+            const current = this.#counts.get(v);
+            if (current === undefined || count === 0) {
+                return false;
+            }
+            if (current > count) {
+                this.#counts.set(v, current - count);
+            } else {
+                this.#counts.delete(v);
+            }
+            return true;
+        }
+
+        /**
+         * Remove all occurrences of `v`
+         */
+        delete(v) {
+            return this.#counts.delete(v);
+        }
+
+        has(v) {
+            return this.#counts.has(v);
+        }
+
+        /** The number of occurrences of `v` */
+        count(v) {
+            return this.#counts.get(v) ?? 0;
+        }
+
+        /** The same as `count` */
+        get(v) {
+            return this.count(v);
+        }
+
+        clear() {
+            this.#counts.clear();
+        }
+
+        /** The distinct values */
+        keys() {
+            return this.#counts.keys();
+        }
+
+        /**
+         * A `[value, count]` pair for each distinct value
+         * @returns {IterableIterator<[any, number]>}
+         */
+        entries() {
+            return this.#counts.entries();
+        }
+
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+
+        get [Symbol.toStringTag]() {
+            return "Bag";
+        }
+
+        /**
+         * @param {ReadonlyArray<any> | Iterable<any> | null} [values]
+         * @param {{ strict?: boolean }} [options]
+         */
+        static usingKeys(values, options) {
+            return new this(values, { keyBy: trySymbol, strict: options?.strict });
+        }
+    }
+
+    /**
+     * @param {unknown} count
+     */
+    function checkCount(count) {
+        if (!Number.isSafeInteger(count) || /** @type {number} */ (count) < 0) {
+            throw new RangeError(`count must be a non-negative integer`);
+        }
+    }
+
+    /** @private */
+    const RecordNamespace = Symbol();
+    /** @private */
+    const TupleNamespace = Symbol();
+
+    /**
+     * The symbols used as the first component of the keys of Records, Tuples and the built-in types given keys by
+     * `installBuiltinKeys`, so that their keys never equal other keys. They are identified by name across realms and
+     * in serialized keys.
+     * @private
+     * @type {Readonly<{ [name: string]: symbol }>}
+     */
+    const KeyNamespaces = Object.freeze({
+        record: RecordNamespace,
+        tuple: TupleNamespace,
+        date: Symbol(),
+        url: Symbol(),
+        regexp: Symbol(),
+        arrayBuffer: Symbol(),
+        typedArray: Symbol(),
+        dataView: Symbol(),
+        map: Symbol(),
+        set: Symbol(),
+    });
+
+    /** @type {Map<symbol, string>} */
+    const namespaceNames = new OriginalMap(Object.entries(KeyNamespaces).map(([name, s]) => [s, name]));
+
+    /**
+     * A comparison function to create a global ordering of symbols. The order is not observable, it is only used internally.
+     * @private
+     * @type {(s1: symbol, s2: symbol) => number}
+     */
+    const symbolOrder = run(() => {
+        /** @typedef {Omit<MapLike<symbol, number>, "size">} SymbolNumberMap */
+
+        const numberForSymbol = /** @type {SymbolNumberMap} */(
+            symbolsAsWeakMapKeys ? new OriginalWeakMap() : new OriginalMap()
+        );
+        let nextNumber = 0;
+
+        const getNumberForSymbol = (/** @type {symbol} */ s) => {
+            let n = numberForSymbol.get(s);
+            if (n === undefined) {
+                n = nextNumber++;
+                numberForSymbol.set(s, n);
+            }
+            return n;
+        };
+
+        return function compare(s1, s2) {
+            const string1 = Symbol.keyFor(s1);
+            const string2 = Symbol.keyFor(s2);
+            if (string1 !== undefined) {
+                if (string2 !== undefined) {
+                    // both registered
+                    return compareStrings(string1, string2);
+                }
+                // only s1 is registered
+                return -1;
+            }
+            if (string2 !== undefined) {
+                // only s2 is registered
+                return +1;
+            }
+            // both unregistered
+            return getNumberForSymbol(s1) - getNumberForSymbol(s2);
+        }
+    });
+
+    /**
+     * @param {string | symbol} k1
+     * @param {string | symbol} k2
+     * @returns {number}
+     */
+    function compareKeys(k1, k2) {
+        if (typeof k1 === "symbol") {
+            if (typeof k2 === "symbol") {
+                // both symbols
+                return symbolOrder(k1, k2);
+            }
+            // k1: symbol, k2: string
+            return -1;
+        }
+        // k1: string
+        if (typeof k2 === "symbol") {
+            return +1;
+        }
+        // both strings
+        return compareStrings(k1, k2);
+    }
+
+    // number the namespaces first so Records, Tuples and built-in types are ordered the same way in every realm
+    Object.values(KeyNamespaces).reduce((a, b) => (symbolOrder(a, b), b));
+
+    /**
+     * @param {string | bigint | number} a
+     * @param {string | bigint | number} b
+     * @returns {number}
+     */
+    function compareStrings(a, b) {
+        return a < b ? -1 : a > b ? +1 : 0;
+    }
+
+    /**
+     * A comparison function to create a global ordering of objects, in the order they are first compared.
+     * @private
+     * @type {(o1: object, o2: object) => number}
+     */
+    const objectOrder = run(() => {
+        /** @type {WeakMap<object, number>} */
+        const numberForObject = new OriginalWeakMap();
+        let nextNumber = 0;
+
+        const getNumberForObject = (/** @type {object} */ o) => {
+            let n = numberForObject.get(o);
+            if (n === undefined) {
+                n = nextNumber++;
+                numberForObject.set(o, n);
+            }
+            return n;
+        };
+
+        return function compare(o1, o2) {
+            return getNumberForObject(o1) - getNumberForObject(o2);
+        };
+    });
+
+    /**
+     * @param {unknown} v
+     * @returns {number}
+     */
+    function typeRank(v) {
+        if (v === undefined) return 0;
+        if (v === null) return 1;
+        switch (typeof v) {
+            case "boolean": return 2;
+            case "number": return 3;
+            case "bigint": return 4;
+            case "string": return 5;
+            case "symbol": return 6;
+        }
+        return isKeyId(v) ? 7 : 8;
+    }
+
+    /**
+     * Compare two key components, where nested keys are represented by their id
+     * @param {unknown} a
+     * @param {unknown} b
+     * @returns {number}
+     */
+    function compareComponents(a, b) {
+        if (a === b) {
+            return 0;
+        }
+        const rankA = typeRank(a);
+        const rankB = typeRank(b);
+        if (rankA !== rankB) {
+            return rankA - rankB;
+        }
+        switch (rankA) {
+            case 2:
+                return Number(a) - Number(b);
+            case 3: {
+                const nanA = Number.isNaN(a);
+                const nanB = Number.isNaN(b);
+                if (nanA || nanB) {
+                    return Number(nanA) - Number(nanB);
+                }
+                return compareStrings(/** @type {number} */ (a), /** @type {number} */ (b));
+            }
+            case 4:
+            case 5:
+                return compareStrings(/** @type {string | bigint} */ (a), /** @type {string | bigint} */ (b));
+            case 6:
+                return symbolOrder(/** @type {symbol} */ (a), /** @type {symbol} */ (b));
+            case 7: {
+                const componentsA = componentsForId(/** @type {OpaqueId} */ (a));
+                const componentsB = componentsForId(/** @type {OpaqueId} */ (b));
+                const length = Math.min(componentsA.length, componentsB.length);
+                for (let i = 0; i < length; i++) {
+                    const result = compareComponents(componentsA[i], componentsB[i]);
+                    if (result !== 0) {
+                        return result;
+                    }
+                }
+                return componentsA.length - componentsB.length;
+            }
+        }
+        return objectOrder(/** @type {object} */ (a), /** @type {object} */ (b));
+    }
+
+    function keyForRecord(r) {
+        return new CompositeKey(
+            RecordNamespace,
+            ...sortedRecordKeys(r)
+                .flatMap((k) => {
+                    let v = r[k];
+                    v = atPath(k, () => trySymbol(v));
+                    return [k, v];
+                }),
+        );
+    }
+
+    function keyForTuple(t) {
+        return new CompositeKey(
+            TupleNamespace,
+            ...t.map((v, i) => atPath(i, () => trySymbol(v))),
+        );
+    }
+
+    /**
+     * Passed to the `Symbol.keyBy` method of a non-strict Record or Tuple to read the key it has already computed, if
+     * any, without computing it. This keeps creating Records and Tuples free of writes to any other weak collection.
+     * @private
+     */
+    const PeekCachedKey = Symbol("peekCachedKey");
+
+    /**
+     * Creates the cached `Symbol.keyBy` method for a Record or Tuple.
+     * A key first computed outside of strict mode may have fallen back to object identity,
+     * so it is computed again the first time it is requested in strict mode.
+     * @param {() => CompositeKey} computeKey
+     * @param {string | undefined} strictRoot when set, the key is always computed in strict mode
+     * @returns {(peek?: typeof PeekCachedKey) => CompositeKey}
+     */
+    function cachedKeyBy(computeKey, strictRoot) {
+        /** @type {CompositeKey | undefined} */
+        let ck;
+        let checked = false;
+        if (strictRoot !== undefined) {
+            return () => ck ??= inStrictMode(strictRoot, computeKey);
+        }
+        return (peek) => {
+            if (peek === PeekCachedKey) {
+                return /** @type {CompositeKey} */ (ck);
+            }
+            if (ck === undefined || (strictPath !== null && !checked)) {
+                ck = computeKey();
+                checked = strictPath !== null;
+            }
+            return ck;
+        };
+    }
+
+    /**
+     * The Records that define their own `Symbol.keyBy` method
+     * @private
+     * @type {WeakSet<object>}
+     */
+    const customKeyedRecords = new OriginalWeakSet();
+
+    /**
+     * Is `v` a non-strict Record or Tuple whose key is made from its entries, so can be compared without creating it
+     * @param {unknown} v
+     * @returns {boolean}
+     */
+    function isStructurallyKeyed(v) {
+        const obj = /** @type {object} */ (v);
+        return tuples.get(obj) === false || (records.get(obj) === false && !customKeyedRecords.has(obj));
+    }
+
+    /**
+     * The Records and Tuples that have been created, and if they are strict
+     * @private
+     * @type {WeakMap<object, boolean>}
+     */
+    const records = new OriginalWeakMap();
+    /** @type {WeakMap<object, boolean>} */
+    const tuples = new OriginalWeakMap();
+
+    /**
+     * @param {object} obj
+     * @param {boolean} strict
+     */
+    function createRecord(obj, strict) {
+        const r = { ...obj };
+        records.set(r, strict);
+        const overridesKeyBy = Object.getOwnPropertyDescriptor(r, SymbolKeyBy) !== undefined;
+        if (!overridesKeyBy) {
+            Object.defineProperty(r, SymbolKeyBy, {
+                enumerable: false,
+                value: cachedKeyBy(() => keyForRecord(r), strict ? "record" : undefined)
+            });
+        } else {
+            customKeyedRecords.add(r);
+        }
+        Object.freeze(r);
+        return r;
+    }
+
+    /**
+     * @param {unknown[]} t
+     * @param {boolean} strict
+     */
+    function createTuple(t, strict) {
+        tuples.set(t, strict);
+        Object.defineProperty(t, SymbolKeyBy, {
+            enumerable: false,
+            value: cachedKeyBy(() => keyForTuple(t), strict ? "tuple" : undefined)
+        });
+        Object.freeze(t);
+        return t;
+    }
+
+    /** @public */
+    function Record(obj) {
+        return createRecord(obj, false);
+    }
+
+    /**
+     * A Record whose key throws if any nested value does not implement `Symbol.keyBy`
+     * @public
+     */
+    Record.strict = function strict(obj) {
+        return createRecord(obj, true);
+    };
+
+    /** @public */
+    Record.compare = CompositeKey.compare;
+
+    /** @public */
+    Record.equals = CompositeKey.equalValues;
+
+    /**
+     * @public
+     * @param {unknown} v
+     * @returns {boolean}
+     */
+    Record.isRecord = function isRecord(v) {
+        return records.has(/** @type {object} */ (v));
+    };
+
+    /**
+     * @param {unknown} r
+     * @returns {boolean} if the Record is strict
+     */
+    function checkRecord(r) {
+        const strict = records.get(/** @type {object} */ (r));
+        if (strict === undefined) {
+            throw new TypeError(`not a Record`);
+        }
+        return strict;
+    }
+
+    // defined as a method so that it is named `with`, which is a reserved word
+    /** @public */
+    Record.with = {
+        /**
+         * A copy of the Record with `key` set to `value`
+         * @param {object} r
+         * @param {PropertyKey} key
+         * @param {unknown} value
+         */
+        with(r, key, value) {
+            const strict = checkRecord(r);
+            return createRecord({ ...r, [key]: value }, strict);
+        },
+    }.with;
+
+    /**
+     * A copy of the Record with the own enumerable properties of each object assigned to it in turn
+     * @public
+     * @param {object} r
+     * @param {...object} objects
+     */
+    Record.merge = function merge(r, ...objects) {
+        const strict = checkRecord(r);
+        return createRecord(Object.assign({ ...r }, ...objects), strict);
+    };
+
+    /**
+     * A copy of the Record without the given keys
+     * @public
+     * @param {object} r
+     * @param {...PropertyKey} keys
+     */
+    Record.without = function without(r, ...keys) {
+        const strict = checkRecord(r);
+        /** @type {any} */
+        const copy = { ...r };
+        for (const k of keys) {
+            delete copy[k];
+        }
+        return createRecord(copy, strict);
+    };
+
+    /** @public */
+    function Tuple(...t) {
+        return createTuple(t, false);
+    }
+
+    /**
+     * A Tuple whose key throws if any nested value does not implement `Symbol.keyBy`
+     * @public
+     */
+    Tuple.strict = function strict(...t) {
+        return createTuple(t, true);
+    };
+
+    /** @public */
+    Tuple.compare = CompositeKey.compare;
+
+    /** @public */
+    Tuple.equals = CompositeKey.equalValues;
+
+    /**
+     * Hashes of Records, Tuples and key ids, consistent with their keys: equal keys have equal hashes
+     * @private
+     * @type {WeakMap<object, number>}
+     */
+    const hashes = new OriginalWeakMap();
+
+    /**
+     * A number per object and unregistered symbol, in the order they are first hashed
+     * @private
+     * @type {(v: object | symbol) => number}
+     */
+    const identityHash = run(() => {
+        /** @type {WeakMap<object, number>} */
+        const numberForObject = new OriginalWeakMap();
+        // objects are always held weakly, only symbols need the fallback of a Map on older runtimes
+        const numberForSymbol = /** @type {Omit<MapLike<symbol, number>, "size">} */(
+            symbolsAsWeakMapKeys ? new OriginalWeakMap() : new OriginalMap()
+        );
+        let nextNumber = 0;
+        return (v) => {
+            const numberForValue = /** @type {Omit<MapLike<object | symbol, number>, "size">} */ (
+                typeof v === "symbol" ? numberForSymbol : numberForObject
+            );
+            let n = numberForValue.get(v);
+            if (n === undefined) {
+                n = nextNumber++;
+                numberForValue.set(v, n);
+            }
+            return n;
+        };
+    });
+
+    /**
+     * @param {number} h
+     * @param {number} x
+     */
+    function mixHash(h, x) {
+        return Math.imul(h ^ x, 0x01000193) >>> 0;
+    }
+
+    /** @param {string} s */
+    function hashString(s) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < s.length; i++) {
+            h = mixHash(h, s.charCodeAt(i));
+        }
+        return h;
+    }
+
+    /**
+     * The hash of a key component, where nested keys are represented by their id
+     * @param {unknown} c
+     * @returns {number}
+     */
+    function hashComponent(c) {
+        switch (typeof c) {
+            case "string": return hashString(c);
+            case "number": return hashString(`n${c === 0 ? 0 : c}`);
+            case "bigint": return hashString(`b${c}`);
+            case "boolean": return c ? 1 : 2;
+            case "undefined": return 3;
+            case "symbol": {
+                const namespace = namespaceNames.get(c);
+                if (namespace !== undefined) return hashString(`N${namespace}`);
+                const registered = Symbol.keyFor(c);
+                return registered === undefined ? identityHash(c) : hashString(`y${registered}`);
+            }
+        }
+        if (c === null) return 6;
+        const id = /** @type {object} */ (c);
+        if (!isKeyId(id)) {
+            return identityHash(id);
+        }
+        let h = hashes.get(id);
+        if (h === undefined) {
+            h = 7;
+            for (const component of componentsForId(id)) {
+                h = mixHash(h, hashComponent(component));
+            }
+            hashes.set(id, h);
+        }
+        return h;
+    }
+
+    /**
+     * The hash of the key component for a value, without creating the key of Records and Tuples
+     * @param {unknown} v
+     * @returns {number}
+     */
+    function hashValue(v) {
+        if (!isStructurallyKeyed(v)) {
+            const k = trySymbol(v);
+            return hashComponent(isCompositeKey(k) ? getKeyIdentity(k) : k);
+        }
+        const obj = /** @type {any} */ (v);
+        let h = hashes.get(obj);
+        if (h === undefined) {
+            if (tuples.has(obj)) {
+                h = mixHash(7, hashComponent(TupleNamespace));
+                for (const value of /** @type {unknown[]} */ (obj)) {
+                    h = mixHash(h, hashValue(value));
+                }
+            } else {
+                h = mixHash(7, hashComponent(RecordNamespace));
+                for (const k of sortedRecordKeys(obj)) {
+                    h = mixHash(mixHash(h, hashComponent(k)), hashValue(obj[k]));
+                }
+            }
+            hashes.set(obj, h);
+        }
+        return h;
+    }
+
+    /**
+     * @param {object} r
+     * @returns {Array<string | symbol>}
+     */
+    function sortedRecordKeys(r) {
+        return Reflect.ownKeys(r)
+            .filter(k => k !== SymbolKeyBy)
+            .sort((k1, k2) => compareKeys(k1, k2));
+    }
+
+    /**
+     * Do `a` and `b` have equal keys, comparing Records and Tuples structurally with an early exit
+     * @param {unknown} a
+     * @param {unknown} b
+     * @returns {boolean}
+     */
+    function equalValues(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (!isStructurallyKeyed(a) || !isStructurallyKeyed(b)) {
+            const ka = trySymbol(a);
+            const kb = trySymbol(b);
+            if (isCompositeKey(ka) && isCompositeKey(kb)) {
+                return CompositeKey.equal(ka, kb);
+            }
+            return ka === kb || (ka !== ka && kb !== kb);
+        }
+        const ra = /** @type {any} */ (a);
+        const rb = /** @type {any} */ (b);
+        if (tuples.has(ra) !== tuples.has(rb)) {
+            return false;
+        }
+        const keyA = ra[SymbolKeyBy](PeekCachedKey);
+        const keyB = rb[SymbolKeyBy](PeekCachedKey);
+        if (keyA !== undefined && keyB !== undefined) {
+            return CompositeKey.equal(keyA, keyB);
+        }
+        if (tuples.has(ra)) {
+            if (ra.length !== rb.length || hashValue(ra) !== hashValue(rb)) {
+                return false;
+            }
+            return ra.every((v, i) => equalValues(v, rb[i]));
+        }
+        const keys = Reflect.ownKeys(ra).filter(k => k !== SymbolKeyBy);
+        if (keys.length !== Reflect.ownKeys(rb).length - 1 || !keys.every(k => Object.hasOwn(rb, k))) {
+            return false;
+        }
+        if (hashValue(ra) !== hashValue(rb)) {
+            return false;
+        }
+        return keys.every(k => equalValues(ra[k], rb[k]));
+    }
+
+    /**
+     * @public
+     * @param {unknown} v
+     * @returns {boolean}
+     */
+    Tuple.isTuple = function isTuple(v) {
+        return tuples.has(/** @type {object} */ (v));
+    };
+
+    /**
+     * @param {unknown} t
+     * @returns {boolean} if the Tuple is strict
+     */
+    function checkTuple(t) {
+        const strict = tuples.get(/** @type {object} */ (t));
+        if (strict === undefined) {
+            throw new TypeError(`not a Tuple`);
+        }
+        return strict;
+    }
+
+    // defined as a method so that it is named `with`, which is a reserved word
+    /** @public */
+    Tuple.with = {
+        /**
+         * A copy of the Tuple with the value at `index` replaced, where a negative index counts back from the end
+         * @param {unknown[]} t
+         * @param {number} index
+         * @param {unknown} value
+         */
+        with(t, index, value) {
+            const strict = checkTuple(t);
+            const i = Math.trunc(index) || 0;
+            const actual = i < 0 ? t.length + i : i;
+            if (actual < 0 || actual >= t.length) {
+                throw new RangeError(`index ${index} is out of range for a Tuple of length ${t.length}`);
+            }
+            const copy = Array.from(t);
+            copy[actual] = value;
+            return createTuple(copy, strict);
+        },
+    }.with;
+
+    /**
+     * Like `Array.prototype.toSpliced`, returning a Tuple
+     * @public
+     * @param {unknown[]} t
+     * @param {number} start
+     * @param {number} [deleteCount]
+     * @param {...unknown} items
+     */
+    Tuple.toSpliced = function toSpliced(t, start, deleteCount, ...items) {
+        const strict = checkTuple(t);
+        const copy = Array.from(t);
+        // like `[].toSpliced()`, nothing is removed without a start
+        if (arguments.length >= 3) {
+            copy.splice(start, /** @type {number} */ (deleteCount), ...items);
+        } else if (arguments.length === 2) {
+            copy.splice(start);
+        }
+        return createTuple(copy, strict);
+    };
+
+    /**
+     * Like `Array.prototype.toSorted`, returning a Tuple. Pass `Tuple.compare` to sort by key.
+     * @public
+     * @param {unknown[]} t
+     * @param {(a: any, b: any) => number} [compareFn]
+     */
+    Tuple.toSorted = function toSorted(t, compareFn) {
+        if (compareFn !== undefined && typeof compareFn !== "function") {
+            throw new TypeError(`compareFn must be a function`);
+        }
+        const strict = checkTuple(t);
+        return createTuple(Array.from(t).sort(compareFn), strict);
+    };
+
+    /**
+     * @public
+     * @param {unknown[]} t
+     */
+    Tuple.toReversed = function toReversed(t) {
+        const strict = checkTuple(t);
+        return createTuple(Array.from(t).reverse(), strict);
+    };
+
+    /**
+     * A Tuple of the values of `t` followed by those of each Tuple or array
+     * @public
+     * @param {unknown[]} t
+     * @param {...ReadonlyArray<unknown>} others
+     */
+    Tuple.concat = function concat(t, ...others) {
+        const strict = checkTuple(t);
+        const copy = Array.from(t);
+        for (const other of others) {
+            if (!Array.isArray(other)) {
+                throw new TypeError(`Tuple.concat only accepts Tuples and arrays`);
+            }
+            copy.push(...other);
+        }
+        return createTuple(copy, strict);
+    };
+
+    /**
+     * @typedef DeepOptions
+     * @prop {"reject" | "keep" | ((value: object, path: string) => unknown)} [other]
+     * What to do with objects that are not plain objects or arrays and do not implement `Symbol.keyBy`, such as
+     * functions and Dates: throw a TypeError (the default), keep them so they are keyed by their identity, or replace
+     * them with the value returned by the function, which is used as is.
+     */
+
+    /**
+     * A Record where nested plain objects and arrays are converted into Records and Tuples. `obj` itself must be a
+     * plain object, whatever the `other` option.
+     * @public
+     * @param {object} obj
+     * @param {DeepOptions} [options]
+     */
+    Record.deep = function deep(obj, options = {}) {
+        const checkedOptions = checkDeepOptions(options);
+        if (!isPlainObject(obj)) {
+            throw new TypeError(`record is not a plain object`);
+        }
+        return deepRecord(obj, ["record"], checkedOptions, new OriginalSet([obj]));
+    };
+
+    /**
+     * A Tuple where nested plain objects and arrays are converted into Records and Tuples
+     * @public
+     */
+    Tuple.deep = function deep(...t) {
+        return Tuple.deepFrom(t);
+    };
+
+    /**
+     * Like `Tuple.deep`, taking the values as an iterable or array-like so that options can be passed
+     * @public
+     * @param {Iterable<unknown> | ArrayLike<unknown>} values
+     * @param {DeepOptions} [options]
+     */
+    Tuple.deepFrom = function deepFrom(values, options = {}) {
+        return deepTuple(Array.from(values), ["tuple"], checkDeepOptions(options), new OriginalSet());
+    };
+
+    /**
+     * @param {DeepOptions} options
+     * @returns {DeepOptions}
+     */
+    function checkDeepOptions(options) {
+        const { other = "reject" } = options;
+        if (other !== "reject" && other !== "keep" && typeof other !== "function") {
+            throw new TypeError(`options.other must be "reject", "keep" or a function`);
+        }
+        return { other };
+    }
+
+    /**
+     * @param {object} obj
+     * @param {PropertyKey[]} path
+     * @param {DeepOptions} options
+     * @param {Set<object>} seen the objects currently being converted, to detect cycles
+     */
+    function deepRecord(obj, path, options, seen) {
+        /** @type {any} */
+        const r = {};
+        for (const k of Reflect.ownKeys(obj)) {
+            if (Object.getOwnPropertyDescriptor(obj, k)?.enumerable) {
+                r[k] = deepValue(obj[k], [...path, k], options, seen);
+            }
+        }
+        return createRecord(r, false);
+    }
+
+    /**
+     * @param {unknown[]} values
+     * @param {PropertyKey[]} path
+     * @param {DeepOptions} options
+     * @param {Set<object>} seen
+     */
+    function deepTuple(values, path, options, seen) {
+        return createTuple(values.map((v, i) => deepValue(v, [...path, i], options, seen)), false);
+    }
+
+    /**
+     * @param {unknown} v
+     * @param {PropertyKey[]} path
+     * @param {DeepOptions} options
+     * @param {Set<object>} seen
+     * @returns {unknown}
+     */
+    function deepValue(v, path, options, seen) {
+        if (!isObject(v) || typeof (/** @type {any} */ (v))[SymbolKeyBy] === "function") {
+            return v;
+        }
+        const obj = /** @type {object} */ (v);
+        const isArray = Array.isArray(obj);
+        if (isArray || isPlainObject(obj)) {
+            if (seen.has(obj)) {
+                throw new TypeError(`${formatPath(path)} is a circular reference`);
+            }
+            seen.add(obj);
+            try {
+                return isArray
+                    ? deepTuple(Array.from(/** @type {unknown[]} */ (obj)), path, options, seen)
+                    : deepRecord(obj, path, options, seen);
+            } finally {
+                seen.delete(obj);
+            }
+        }
+        const { other } = options;
+        if (other === "keep") {
+            return obj;
+        }
+        if (typeof other === "function") {
+            return other(obj, formatPath(path));
+        }
+        throw new TypeError(`${formatPath(path)} is not a plain object, array or value implementing Symbol.keyBy`);
+    }
+
+    /**
+     * The bytes of a view as a string with one character per byte
+     * @param {ArrayBufferView} view
+     */
+    function bytesToString(view) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+        let result = "";
+        for (let i = 0; i < bytes.length; i += 8192) {
+            result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+        }
+        return result;
+    }
+
+    /**
+     * The key components of `entries` sorted by `CompositeKey.compare`, so the key does not depend on insertion order
+     * @param {unknown[][]} entries
+     */
+    function sortedComponents(entries) {
+        const keyed = entries.map(entry => entry.map(trySymbol));
+        if (entries.length > 1) {
+            keyed.sort((a, b) => {
+                for (let i = 0; i < a.length; i++) {
+                    const result = CompositeKey.compare(a[i], b[i]);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            });
+        }
+        return keyed.flat();
+    }
+
+    /**
+     * @param {object} proto
+     * @param {(this: any) => CompositeKey} keyBy
+     */
+    function defineKeyBy(proto, keyBy) {
+        Object.defineProperty(proto, SymbolKeyBy, {
+            value: keyBy,
+            writable: true,
+            configurable: true,
+        });
+    }
+
+    /**
+     * Implement `Symbol.keyBy` for built-in value types, each keyed within its own namespace so that for example a
+     * Date never equals the number of its time value:
+     * - Date by its time value, with all invalid dates equal
+     * - URL by its href
+     * - RegExp by its source and flags
+     * - ArrayBuffer and SharedArrayBuffer by their type and contents
+     * - typed arrays by their element type and contents, compared byte by byte
+     * - DataView by its contents
+     * - the native Map and Set by their entries, where values within are keyed by `Symbol.keyBy`.
+     *   The order of the entries is ignored unless `ordered` is set.
+     *
+     * The keys are computed each time, as all of these types except URL can be mutated.
+     * @public
+     * @param {{ ordered?: boolean }} [options]
+     */
+    function installBuiltinKeys(options) {
+        const ordered = Boolean(options?.ordered);
+        const N = KeyNamespaces;
+
+        defineKeyBy(Date.prototype, function () {
+            return new CompositeKey(N.date, Date.prototype.getTime.call(this));
+        });
+        // URL is not part of ECMAScript, so it may be missing
+        const { URL } = /** @type {{ URL?: { prototype: object } }} */ (globalThis);
+        if (typeof URL === "function") {
+            const hrefGetter = /** @type {() => string} */ (Object.getOwnPropertyDescriptor(URL.prototype, "href")?.get);
+            defineKeyBy(URL.prototype, function () {
+                return new CompositeKey(N.url, hrefGetter.call(this));
+            });
+        }
+        defineKeyBy(RegExp.prototype, function () {
+            return new CompositeKey(N.regexp, this.source, this.flags);
+        });
+        for (const Buffer of [ArrayBuffer, globalThis.SharedArrayBuffer]) {
+            if (typeof Buffer !== "function") continue;
+            const byteLength = /** @type {() => number} */ (Object.getOwnPropertyDescriptor(Buffer.prototype, "byteLength")?.get);
+            defineKeyBy(Buffer.prototype, function () {
+                // the getter throws for other receivers
+                byteLength.call(this);
+                return new CompositeKey(N.arrayBuffer, Buffer.name, bytesToString(new Uint8Array(this)));
+            });
+        }
+        const TypedArrayPrototype = Object.getPrototypeOf(Uint8Array.prototype);
+        const typedArrayTag = /** @type {() => string | undefined} */ (
+            Object.getOwnPropertyDescriptor(TypedArrayPrototype, Symbol.toStringTag)?.get
+        );
+        defineKeyBy(TypedArrayPrototype, function () {
+            const type = typedArrayTag.call(this);
+            if (type === undefined) {
+                throw new TypeError(`receiver is not a typed array`);
+            }
+            return new CompositeKey(N.typedArray, type, bytesToString(this));
+        });
+        const dataViewBuffer = /** @type {() => ArrayBufferLike} */ (
+            Object.getOwnPropertyDescriptor(DataView.prototype, "buffer")?.get
+        );
+        defineKeyBy(DataView.prototype, function () {
+            dataViewBuffer.call(this);
+            return new CompositeKey(N.dataView, bytesToString(this));
+        });
+        defineKeyBy(OriginalMap.prototype, function () {
+            const entries = Array.from(OriginalMap.prototype.entries.call(this));
+            return new CompositeKey(N.map, ...(ordered ? entries.flat().map(trySymbol) : sortedComponents(entries)));
+        });
+        defineKeyBy(OriginalSet.prototype, function () {
+            const values = Array.from(OriginalSet.prototype.values.call(this), v => [v]);
+            return new CompositeKey(N.set, ...(ordered ? values.flat().map(trySymbol) : sortedComponents(values)));
+        });
+    }
+
+    /** @private */
+    const Tag = "$keyby";
+
+    /**
+     * @param {unknown} v
+     * @returns {boolean}
+     */
+    function isPlainObject(v) {
+        if (!isObject(v) || typeof v === "function") {
+            return false;
+        }
+        const proto = Object.getPrototypeOf(v);
+        return proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * @param {symbol} s
+     * @returns {object}
+     */
+    function encodeSymbol(s) {
+        const name = namespaceNames.get(s);
+        if (name !== undefined) return { [Tag]: "namespace", name };
+        const key = Symbol.keyFor(s);
+        if (key === undefined) {
+            throw new TypeError(`${s.toString()} cannot be serialized as it is not a registered symbol`);
+        }
+        return { [Tag]: "symbol", key };
+    }
+
+    /**
+     * Encode a single value into the tagged JSON-compatible encoding, leaving the values within it to be encoded separately
+     * @param {unknown} value
+     * @param {boolean} inArray undefined values are only kept within arrays, matching JSON
+     * @returns {unknown}
+     */
+    function encodeValue(value, inArray) {
+        switch (typeof value) {
+            case "undefined":
+                return inArray ? { [Tag]: "undefined" } : undefined;
+            case "number":
+                return Number.isFinite(value) ? value : { [Tag]: "number", value: String(value) };
+            case "bigint":
+                return { [Tag]: "bigint", value: String(value) };
+            case "symbol":
+                return encodeSymbol(value);
+        }
+        if (!isObject(value)) {
+            return value;
+        }
+        const obj = /** @type {object} */ (value);
+        if (records.has(obj)) {
+            return {
+                [Tag]: "record",
+                strict: records.get(obj),
+                entries: Reflect.ownKeys(obj).filter(k => k !== SymbolKeyBy).map(k => [k, obj[k]]),
+            };
+        }
+        if (tuples.has(obj)) {
+            return { [Tag]: "tuple", strict: tuples.get(obj), values: Array.from(/** @type {unknown[]} */ (obj)) };
+        }
+        const id = isCompositeKey(obj) ? getKeyIdentity(obj) : obj;
+        if (isKeyId(id)) {
+            const components = componentsForId(id);
+            if (components.some(c => isIdentityComponent(c) && !isKeyId(c))) {
+                throw new TypeError(`CompositeKey cannot be serialized as it contains an object or non-registered symbol`);
+            }
+            return { [Tag]: "key", components: Array.from(components) };
+        }
+        if (isPlainObject(obj) && Object.hasOwn(obj, Tag)) {
+            // escape plain objects that would otherwise look like an encoded value
+            return { [Tag]: "object", entries: Object.entries(obj) };
+        }
+        return value;
+    }
+
+    /**
+     * Decode a single value of the tagged encoding, whose nested values have already been decoded
+     * @param {unknown} value
+     * @returns {unknown}
+     */
+    function decodeValue(value) {
+        if (!isPlainObject(value) || !Object.hasOwn(/** @type {object} */ (value), Tag)) {
+            return value;
+        }
+        const encoded = /** @type {any} */ (value);
+        switch (encoded[Tag]) {
+            case "undefined":
+                return undefined;
+            case "number":
+                return Number(encoded.value);
+            case "bigint":
+                return BigInt(encoded.value);
+            case "symbol":
+                return Symbol.for(encoded.key);
+            case "namespace":
+                if (!Object.hasOwn(KeyNamespaces, encoded.name)) {
+                    throw new TypeError(`unknown namespace ${encoded.name}`);
+                }
+                return KeyNamespaces[encoded.name];
+            case "record":
+                return createRecord(Object.fromEntries(encoded.entries), Boolean(encoded.strict));
+            case "tuple":
+                return createTuple(Array.from(encoded.values), Boolean(encoded.strict));
+            case "key":
+                return new CompositeKey(...encoded.components);
+            case "object":
+                return Object.fromEntries(encoded.entries);
+        }
+        throw new TypeError(`unknown encoded value: ${encoded[Tag]}`);
+    }
+
+    /**
+     * Replacer for `JSON.stringify` that encodes Records, Tuples, CompositeKeys, registered symbols and other values that
+     * JSON cannot represent so `jsonReviver` can restore them
+     * @public
+     * @this {unknown}
+     * @param {string} _key
+     * @param {unknown} value
+     * @returns {unknown}
+     */
+    function jsonReplacer(_key, value) {
+        return encodeValue(value, Array.isArray(this));
+    }
+
+    /**
+     * Reviver for `JSON.parse` restoring values encoded by `jsonReplacer`
+     * @public
+     * @param {string} _key
+     * @param {unknown} value
+     * @returns {unknown}
+     */
+    function jsonReviver(_key, value) {
+        return decodeValue(value);
+    }
+
+    /**
+     * Deeply encode a value using the same tagged encoding as `jsonReplacer`, e.g. before passing it to `structuredClone`
+     * or `postMessage`. Only arrays and plain objects are traversed.
+     * @public
+     * @param {unknown} value
+     * @returns {unknown}
+     */
+    function encode(value, inArray = false) {
+        const encoded = encodeValue(value, inArray);
+        if (Array.isArray(encoded)) {
+            return Array.from(encoded, v => encode(v, true));
+        }
+        if (isPlainObject(encoded)) {
+            return Object.fromEntries(
+                Object.entries(/** @type {object} */ (encoded))
+                    .map(([k, v]) => [k, encode(v, false)])
+                    .filter(([, v]) => v !== undefined)
+            );
+        }
+        return encoded;
+    }
+
+    /**
+     * Restore a value encoded by `encode`
+     * @public
+     * @param {unknown} value
+     * @returns {unknown}
+     */
+    function decode(value) {
+        if (Array.isArray(value)) {
+            return decodeValue(Array.from(value, decode));
+        }
+        if (isPlainObject(value)) {
+            return decodeValue(Object.fromEntries(
+                Object.entries(/** @type {object} */ (value)).map(([k, v]) => [k, decode(v)])
+            ));
+        }
+        return decodeValue(value);
+    }
+
+    /**
+     * The values `key` was created from, with nested keys re-created as CompositeKeys
+     * @param {CompositeKey} key
+     * @returns {unknown[]}
+     */
+    function componentsOfKey(key) {
+        return componentsOfId(getKeyIdentity(key));
+    }
+
+    /** @param {OpaqueId} id */
+    function componentsOfId(id) {
+        return componentsForId(id).map(c => isKeyId(c)
+            ? new CompositeKey(...componentsOfId(c))
+            : c
+        );
+    }
+
+    /**
+     * @typedef MembraneCapability
+     * @prop {Readonly<{ [name: string]: symbol }>} namespaces the symbols used as the first component of the keys of
+     * Records, Tuples and built-in types, by name
+     * @prop {(v: unknown) => v is CompositeKey} isCompositeKey
+     * @prop {(key: CompositeKey) => unknown[]} components
+     * @prop {(components: unknown[]) => CompositeKey} create
+     * @prop {(key: CompositeKey, wrap: (obj: object) => unknown, target?: MembraneCapability) => CompositeKey} rebuild
+     */
+
+    /** @type {MembraneCapability} */
+    const membraneCapability = Object.freeze({
+        namespaces: KeyNamespaces,
+
+        isCompositeKey(v) {
+            return isCompositeKey(v);
+        },
+
+        /**
+         * The values the key was created from, with nested keys as CompositeKeys
+         */
+        components(key) {
+            if (!isCompositeKey(key)) {
+                throw new TypeError(`not a CompositeKey`);
+            }
+            return componentsOfKey(key);
+        },
+
+        create(components) {
+            return new CompositeKey(...components);
+        },
+
+        /**
+         * Re-create `key` with each object component, including within nested keys, replaced by `wrap(obj)`.
+         * When `target` is the capability of another realm the key is created in that realm.
+         */
+        rebuild(key, wrap, target = membraneCapability) {
+            return target.create(membraneCapability.components(key).map((c) => {
+                if (isCompositeKey(c)) return membraneCapability.rebuild(c, wrap, target);
+                const namespace = namespaceNames.get(/** @type {symbol} */ (c));
+                if (namespace !== undefined) {
+                    if (!Object.hasOwn(target.namespaces, namespace)) {
+                        throw new TypeError(`the target does not support the ${namespace} namespace`);
+                    }
+                    return target.namespaces[namespace];
+                }
+                if (isObject(c)) return wrap(/** @type {object} */ (c));
+                return c;
+            }));
+        },
+    });
+
+    let membraneCapabilityTaken = false;
+
+    /**
+     * Privileged access to the components of CompositeKeys, allowing a membrane or realm boundary to re-create equivalent
+     * keys on the other side. It can only be taken once, so a membrane should take it before any other code runs.
+     * @public
+     * @returns {MembraneCapability}
+     */
+    function takeMembraneCapability() {
+        if (membraneCapabilityTaken) {
+            throw new TypeError(`the membrane capability has already been taken`);
+        }
+        membraneCapabilityTaken = true;
+        return membraneCapability;
+    }
+
+    /**
+     * A report on the trie that interns every CompositeKey, and the table of keys made only of primitives, to check for
+     * leaks in long running processes.
+     * Collected keys are only removed from the trie once their finalizers have run, so the counts lag behind
+     * garbage collection. Throws unless enabled, see `setTrieDiagnostics`
+     * @public
+     * @returns {TrieDiagnostics}
+     */
+    function trieDiagnostics() {
+        return { ...AbstractNode.diagnostics(), primitiveKeys: PrimitiveKeyTable.sweep() };
+    }
+
+    /**
+     * Turn on (or off) the tracking of trie nodes needed by `trieDiagnostics`. Nodes created while it is off are not
+     * counted, so it is best turned on before any keys are created.
+     * @public
+     * @param {boolean} [enabled]
+     */
+    function setTrieDiagnostics(enabled = true) {
+        AbstractNode.setDiagnostics(Boolean(enabled));
+    }
+
+    let debugInspection = false;
+
+    /**
+     * Turn on (or off) the debug descriptions of keys from `CompositeKey.debugDescribe` and Node's `util.inspect`.
+     * While on, the components of any key can be read by any code, so this is only intended for debugging.
+     * @public
+     * @param {boolean} [enabled]
+     */
+    function setDebugInspection(enabled = true) {
+        debugInspection = Boolean(enabled);
+    }
+
+    /**
+     * A label for an identity component that is stable for as long as it is alive, e.g. `#3 Point`
+     * @private
+     * @type {(v: object | symbol) => string}
+     */
+    const debugLabel = run(() => {
+        /** @typedef {Omit<MapLike<object | symbol, number>, "size">} LabelMap */
+
+        const numberForValue = /** @type {LabelMap} */(
+            symbolsAsWeakMapKeys ? new OriginalWeakMap() : new OriginalMap()
+        );
+        let nextNumber = 1;
+
+        return function debugLabel(v) {
+            let n = numberForValue.get(v);
+            if (n === undefined) {
+                n = nextNumber++;
+                numberForValue.set(v, n);
+            }
+            if (typeof v === "symbol") {
+                return `#${n} ${String(v)}`;
+            }
+            if (typeof v === "function") {
+                return `#${n} function ${v.name || "(anonymous)"}`;
+            }
+            const proto = Object.getPrototypeOf(v);
+            const ctor = proto === null ? undefined : Object.getOwnPropertyDescriptor(proto, "constructor")?.value;
+            return `#${n} ${(typeof ctor === "function" && ctor.name) || "Object"}`;
+        };
+    });
+
+    /** @param {string | symbol} k */
+    function describePropertyKey(k) {
+        if (typeof k === "symbol") {
+            return `[${describeComponent(k)}]`;
+        }
+        return /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k);
+    }
+
+    /**
+     * @param {unknown} c
+     * @returns {string}
+     */
+    function describeComponent(c) {
+        switch (typeof c) {
+            case "string":
+                return JSON.stringify(c);
+            case "bigint":
+                return `${c}n`;
+            case "number":
+                return Object.is(c, -0) ? "-0" : String(c);
+            case "symbol": {
+                const namespace = namespaceNames.get(c);
+                if (namespace !== undefined) {
+                    return `@${namespace}`;
+                }
+                const registered = Symbol.keyFor(c);
+                return registered === undefined ? debugLabel(c) : `Symbol.for(${JSON.stringify(registered)})`;
+            }
+            case "object":
+            case "function":
+                if (c === null) return "null";
+                if (isCompositeKey(c)) return describeKey(c, false);
+                return debugLabel(c);
+            default:
+                return String(c);
+        }
+    }
+
+    /**
+     * @param {CompositeKey} key
+     * @param {boolean} topLevel
+     * @returns {string}
+     */
+    function describeKey(key, topLevel) {
+        const components = componentsOfKey(key);
+        const [head, ...rest] = components;
+        let description;
+        if (head === RecordNamespace) {
+            const fields = [];
+            for (let i = 0; i < rest.length; i += 2) {
+                fields.push(`${describePropertyKey(/** @type {string | symbol} */ (rest[i]))}: ${describeComponent(rest[i + 1])}`);
+            }
+            description = fields.length === 0 ? "Record {}" : `Record { ${fields.join(", ")} }`;
+        } else if (head === TupleNamespace) {
+            description = `Tuple [${rest.map(describeComponent).join(", ")}]`;
+        } else {
+            return `CompositeKey(${components.map(describeComponent).join(", ")})`;
+        }
+        return topLevel ? `CompositeKey(${description})` : description;
+    }
+
+    /**
+     * @param {unknown} value a CompositeKey, Record or Tuple
+     * @returns {string}
+     */
+    function debugDescribe(value) {
+        if (!debugInspection) {
+            throw new TypeError(`debug inspection is not enabled, see setDebugInspection()`);
+        }
+        if (isCompositeKey(value)) {
+            return describeKey(value, true);
+        }
+        if (isObject(value) && (records.has(/** @type {object} */ (value)) || tuples.has(/** @type {object} */ (value)))) {
+            return describeKey(/** @type {any} */ (value)[SymbolKeyBy](), false);
+        }
+        throw new TypeError(`not a CompositeKey, Record or Tuple`);
+    }
+
+    /**
+     * Replace the global `Map`, `Set`, `WeakMap` and `WeakSet`, add `CompositeKey`, `Record`, `Tuple` and `Symbol.keyBy`,
+     * and add `distinct` to iterators and `uniqueBy` to arrays
+     * @public
+     */
+    function install() {
+        globalThis.CompositeKey = CompositeKey;
+        globalThis.Map = /** @type {any} */ (MapPolyfill);
+        globalThis.Set = /** @type {any} */ (SetPolyFill);
+        globalThis.WeakMap = /** @type {any} */ (WeakMapPolyfill);
+        globalThis.WeakSet = /** @type {any} */ (WeakSetPolyfill);
+        globalThis.Record = Record;
+        globalThis.Tuple = Tuple;
+        Object.defineProperty(Symbol, "keyBy", {
+            value: SymbolKeyBy,
+        });
+        Object.defineProperty(IteratorPrototype, "distinct", {
+            writable: true,
+            configurable: true,
+            /** @this {Iterator<unknown>} */
+            value: function (config) {
+                return distinct({ [Symbol.iterator]: () => this }, config);
+            },
+        });
+        Object.defineProperty(Array.prototype, "uniqueBy", {
+            writable: true,
+            configurable: true,
+            /** @this {unknown[]} */
+            value: function (config) {
+                return uniqueBy(this, config);
+            },
+        });
+    }
+
+    // exports:
+    module.exports = {
+        CompositeKey,
+        KeyedMap: MapPolyfill,
+        KeyedSet: SetPolyFill,
+        KeyedWeakMap: WeakMapPolyfill,
+        KeyedWeakSet: WeakSetPolyfill,
+        Record,
+        Tuple,
+        keyBy: SymbolKeyBy,
+        SortedMap,
+        SortedSet,
+        MultiMap,
+        Bag,
+        jsonReplacer,
+        jsonReviver,
+        encode,
+        decode,
+        takeMembraneCapability,
+        installBuiltinKeys,
+        setDebugInspection,
+        setTrieDiagnostics,
+        trieDiagnostics,
+        distinct,
+        uniqueBy,
+        install,
+    };
+})();
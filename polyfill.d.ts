@@ -0,0 +1,84 @@
+// Types for the globals installed by polyfill.js, and by `install()` from index.mjs
+
+import type {
+    CollectionSnapshot,
+    CompositeKey as CompositeKeyClass,
+    DistinctConfig,
+    KeyByConfig,
+    KeyedWeakMap,
+    KeyedWeakSet,
+    RecordConstructor,
+    SetLike,
+    TupleConstructor,
+    UsingKeysOptions,
+    keyBy,
+} from "./index.mjs";
+
+declare global {
+    interface SymbolConstructor {
+        readonly keyBy: typeof keyBy;
+    }
+
+    var CompositeKey: typeof CompositeKeyClass;
+    type CompositeKey = CompositeKeyClass;
+
+    // only the values, the global `Record` type remains TypeScript's utility type
+    var Record: RecordConstructor;
+    var Tuple: TupleConstructor;
+
+    interface Map<K, V> {
+        getOrInsert(key: K, value: V): V;
+        getOrInsertComputed(key: K, callbackfn: (key: K) => V): V;
+        toSnapshot(): CollectionSnapshot;
+    }
+
+    interface MapConstructor {
+        new <K, V>(entries: Iterable<readonly [K, V]> | null | undefined, config: KeyByConfig<K>): Map<K, V>;
+        usingKeys<K = any, V = any>(entries?: Iterable<readonly [K, V]> | null, options?: UsingKeysOptions): Map<K, V>;
+        fromSnapshot<K = unknown, V = unknown>(snapshot: CollectionSnapshot): Map<K, V>;
+        groupBy<K, T>(items: Iterable<T>, callbackfn: (value: T, index: number) => K, config?: KeyByConfig<K>): Map<K, T[]>;
+        groupByKeys<K, T>(items: Iterable<T>, callbackfn: (value: T, index: number) => K, options?: UsingKeysOptions): Map<K, T[]>;
+    }
+
+    interface Set<T> {
+        union<U>(other: SetLike<U>): Set<T | U>;
+        intersection<U>(other: SetLike<U>): Set<T & U>;
+        difference<U>(other: SetLike<U>): Set<T>;
+        symmetricDifference<U>(other: SetLike<U>): Set<T | U>;
+        isSubsetOf(other: SetLike<unknown>): boolean;
+        isSupersetOf(other: SetLike<unknown>): boolean;
+        isDisjointFrom(other: SetLike<unknown>): boolean;
+        toSnapshot(): CollectionSnapshot;
+    }
+
+    interface SetConstructor {
+        new <T>(values: Iterable<T> | null | undefined, config: KeyByConfig<T>): Set<T>;
+        usingKeys<T = any>(values?: Iterable<T> | null, options?: UsingKeysOptions): Set<T>;
+        fromSnapshot<T = unknown>(snapshot: CollectionSnapshot): Set<T>;
+    }
+
+    interface WeakMapConstructor {
+        /** With a keyBy, any value whose key is an object or a CompositeKey that can be held weakly can be used */
+        new <K, V>(entries: Iterable<readonly [K, V]> | null | undefined, config: KeyByConfig<K>): KeyedWeakMap<K, V>;
+        usingKeys<K = any, V = any>(entries?: Iterable<readonly [K, V]> | null, options?: UsingKeysOptions): KeyedWeakMap<K, V>;
+    }
+
+    interface WeakSetConstructor {
+        new <T>(values: Iterable<T> | null | undefined, config: KeyByConfig<T>): KeyedWeakSet<T>;
+        usingKeys<T = any>(values?: Iterable<T> | null, options?: UsingKeysOptions): KeyedWeakSet<T>;
+    }
+
+    interface IteratorObject<T, TReturn, TNext> {
+        /** Lazily yields the first occurrence of each value, compared using `Symbol.keyBy` unless a keyBy is given */
+        distinct(config?: DistinctConfig<T>): Generator<T, undefined, unknown>;
+    }
+
+    interface Array<T> {
+        /** The first occurrence of each value, compared using `Symbol.keyBy` unless a keyBy is given */
+        uniqueBy(config?: DistinctConfig<T>): T[];
+    }
+
+    interface ReadonlyArray<T> {
+        uniqueBy(config?: DistinctConfig<T>): T[];
+    }
+}
@@ -1,6 +1,11 @@
 import test, { describe, it } from "node:test";
+import { Worker } from "node:worker_threads";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+import { inspect } from "node:util";
 import assert from "node:assert"
 import "./polyfill.js";
+import { SortedMap, SortedSet, MultiMap, Bag, jsonReplacer, jsonReviver, encode, decode, takeMembraneCapability, setDebugInspection } from "./index.mjs";
 
 test("polyfill has added globals", () => {
     assert.equal(typeof globalThis.CompositeKey, "function");
@@ -105,6 +110,29 @@ describe("CompositeKey", (t) => {
         assert(CompositeKey.equal(outerKey1, outerKey2));
         assert(!CompositeKey.equal(outerKey1, outerKey3));
     });
+    it("primitive components", () => {
+        const key = (...values) => new CompositeKey(...values);
+        assert(CompositeKey.equal(key(-0), key(0)));
+        assert(CompositeKey.equal(key(NaN), key(NaN)));
+        assert(CompositeKey.equal(key(1n, "a", true, null, undefined), key(1n, "a", true, null, undefined)));
+        assert(CompositeKey.equal(key(Symbol.for("s")), key(Symbol.for("s"))));
+        const distinct = [
+            key(), key(1), key("1"), key(1n), key(true), key("t"), key(null), key(undefined),
+            key("a", "b"), key("ab"), key("a:b"), key("s1:a"), key("n1;"), key(Symbol.for("a")), key(Symbol.for("b")),
+            key(key(1)), key(key(1), 2), key(key(1, 2)), key(key()),
+        ];
+        for (const [i, a] of distinct.entries()) {
+            for (const [j, b] of distinct.entries()) {
+                assert.equal(CompositeKey.equal(a, b), i === j, `${i} ${j}`);
+            }
+        }
+    });
+    it("primitive keys nested in keys with identity components", () => {
+        const obj = {};
+        assert(CompositeKey.equal(new CompositeKey(obj, new CompositeKey(1)), new CompositeKey(obj, new CompositeKey(1))));
+        assert(!CompositeKey.equal(new CompositeKey(obj, new CompositeKey(1)), new CompositeKey(obj, 1)));
+        assert(CompositeKey.equal(new CompositeKey(new CompositeKey(obj), 1), new CompositeKey(new CompositeKey(obj), 1)));
+    });
 });
 
 describe("Map + CompositeKey", () => {
@@ -221,6 +249,114 @@ describe("Record", () => {
     });
 });
 
+describe("Record and Tuple updates", () => {
+    const keyEqual = (a, b) => CompositeKey.equal(a[Symbol.keyBy](), b[Symbol.keyBy]());
+
+    it("Record.with, merge and without", () => {
+        const r = Record({ a: 1, b: Tuple(2) });
+        const updated = Record.with(r, "a", 3);
+        assert(Record.isRecord(updated));
+        assert(Object.isFrozen(updated));
+        assert(keyEqual(updated, Record({ a: 3, b: Tuple(2) })));
+        assert.equal(updated.b, r.b);
+        assert(keyEqual(r, Record({ a: 1, b: Tuple(2) })));
+
+        assert(keyEqual(Record.merge(r, { a: 4 }, { c: 5 }), Record({ a: 4, b: Tuple(2), c: 5 })));
+        assert(keyEqual(Record.without(r, "a", "missing"), Record({ b: Tuple(2) })));
+        assert.throws(() => Record.with({ a: 1 }, "a", 2), TypeError);
+    });
+    it("keeps strictness", () => {
+        const r = Record.strict({ a: 1 });
+        assert.throws(() => Record.with(r, "b", {})[Symbol.keyBy](), TypeError);
+        assert.throws(() => Tuple.concat(Tuple.strict(1), [{}])[Symbol.keyBy](), TypeError);
+        Record.with(Record({ a: 1 }), "b", {})[Symbol.keyBy]();
+    });
+    it("Tuple.with", () => {
+        const t = Tuple(1, 2, 3);
+        assert(keyEqual(Tuple.with(t, 1, 9), Tuple(1, 9, 3)));
+        assert(keyEqual(Tuple.with(t, -1, 9), Tuple(1, 2, 9)));
+        assert.throws(() => Tuple.with(t, 3, 9), RangeError);
+        assert.throws(() => Tuple.with(t, -4, 9), RangeError);
+        assert.throws(() => Tuple.with([1], 0, 9), TypeError);
+    });
+    it("Tuple.toSpliced, toSorted, toReversed and concat", () => {
+        const t = Tuple(3, 1, 2);
+        assert(keyEqual(Tuple.toSpliced(t, 1, 1, "a", "b"), Tuple(3, "a", "b", 2)));
+        assert(keyEqual(Tuple.toSpliced(t, 1), Tuple(3)));
+        assert(keyEqual(Tuple.toSpliced(t), t));
+        assert(keyEqual(Tuple.toSpliced(t, undefined), Tuple()));
+        assert(keyEqual(Tuple.toSorted(t), Tuple(1, 2, 3)));
+        assert(keyEqual(Tuple.toSorted(Tuple(10, 9)), Tuple(10, 9)));
+        assert(keyEqual(Tuple.toSorted(Tuple(10, 9), Tuple.compare), Tuple(9, 10)));
+        assert(keyEqual(Tuple.toReversed(t), Tuple(2, 1, 3)));
+        assert(keyEqual(Tuple.concat(t, Tuple(4), [5, 6]), Tuple(3, 1, 2, 4, 5, 6)));
+        assert(Tuple.isTuple(Tuple.toReversed(t)));
+        assert(keyEqual(t, Tuple(3, 1, 2)));
+        assert.throws(() => Tuple.concat(t, 4), TypeError);
+    });
+    it("names the helpers", () => {
+        for (const name of ["with", "merge", "without"]) {
+            assert.equal(Record[name].name, name);
+        }
+        for (const name of ["with", "toSpliced", "toSorted", "toReversed", "concat"]) {
+            assert.equal(Tuple[name].name, name);
+        }
+    });
+});
+
+describe("Record.deep and Tuple.deep", () => {
+    it("converts nested plain objects and arrays", () => {
+        const r = Record.deep({ a: { b: [1, { c: 2 }] }, d: Tuple(3) });
+        assert(Record.isRecord(r.a));
+        assert(Tuple.isTuple(r.a.b));
+        assert(Record.isRecord(r.a.b[1]));
+        assert(Object.isFrozen(r.a.b[1]));
+        assert(CompositeKey.equal(r[Symbol.keyBy](), Record({ a: Record({ b: Tuple(1, Record({ c: 2 })) }), d: Tuple(3) })[Symbol.keyBy]()));
+
+        const t = Tuple.deep([1, 2], { x: [] });
+        assert(Tuple.equals(t, Tuple(Tuple(1, 2), Record({ x: Tuple() }))));
+        assert(Tuple.equals(Tuple.deepFrom(new Set([[1]])), Tuple(Tuple(1))));
+    });
+    it("leaves values implementing Symbol.keyBy untouched", () => {
+        const custom = { [Symbol.keyBy]: () => new CompositeKey(1) };
+        const key = new CompositeKey(2);
+        const r = Record.deep({ custom, key });
+        assert.equal(r.custom, custom);
+        assert.equal(r.key, key);
+    });
+    it("rejects other objects by default", () => {
+        assert.throws(() => Record.deep({ a: [new Date()] }), {
+            name: "TypeError",
+            message: "record.a[0] is not a plain object, array or value implementing Symbol.keyBy",
+        });
+        assert.throws(() => Tuple.deep(() => {}), /^TypeError: tuple\[0\] is not/);
+        assert.throws(() => Tuple.deepFrom([], { other: "wrap" }), TypeError);
+        for (const root of [new Date(), null, 1, [], Tuple(1)]) {
+            assert.throws(() => Record.deep(root, { other: "keep" }), {
+                name: "TypeError",
+                message: "record is not a plain object",
+            });
+        }
+    });
+    it("can keep or replace other objects", () => {
+        const date = new Date(0);
+        assert.equal(Record.deep({ date }, { other: "keep" }).date, date);
+        const paths = [];
+        const r = Record.deep({ date, nested: { f: Math.max } }, {
+            other: (v, path) => (paths.push(path), v instanceof Date ? v.getTime() : String(v)),
+        });
+        assert(Record.equals(r, Record({ date: 0, nested: Record({ f: String(Math.max) }) })));
+        assert.deepStrictEqual(paths, ["record.date", "record.nested.f"]);
+    });
+    it("rejects circular references", () => {
+        const obj = { a: [] };
+        obj.a.push(obj);
+        assert.throws(() => Record.deep(obj), { message: "record.a[0] is a circular reference" });
+        const shared = { x: 1 };
+        assert(Record.equals(Record.deep({ a: shared, b: shared }), Record.deep({ a: { x: 1 }, b: { x: 1 } })));
+    });
+});
+
 test("Tuple", () => {
     let tup1 = Tuple(1, 2);
     assert(Object.isFrozen(tup1));
@@ -246,3 +382,1080 @@ test("Map.usingKeys + Record", () => {
     m.set(rec1, 42);
     assert.equal(m.get(rec2), 42);
 });
+
+async function collectGarbage() {
+    for (let i = 0; i < 3; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        globalThis.gc();
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe("WeakMap + CompositeKey", () => {
+    it("still works as usual", () => {
+        let key = {};
+        const m = new WeakMap([[key, 42]]);
+        assert(m.has(key));
+        assert.equal(m.get(key), 42);
+        assert(!m.has({}));
+        assert.throws(() => m.set(1, 1), TypeError);
+        assert.throws(() => m.set(Symbol.for("registered"), 1), TypeError);
+        m.set(Symbol(), 1);
+    });
+    it("CK are treated as normal objects by default", () => {
+        let m = new WeakMap();
+        m.set(new CompositeKey(1), 42);
+        assert(!m.has(new CompositeKey(1)));
+    });
+    it("CK with an identity component can be held weakly", () => {
+        let obj = {};
+        let m = new WeakMap([], { keyBy: v => v.key });
+        m.set({ key: new CompositeKey(obj, 1) }, 42);
+        assert.equal(m.get({ key: new CompositeKey(obj, 1) }), 42);
+        assert(m.has({ key: new CompositeKey(obj, 1) }));
+        assert(!m.has({ key: new CompositeKey(obj, 2) }));
+        assert(m.delete({ key: new CompositeKey(obj, 1) }));
+        assert(!m.has({ key: new CompositeKey(obj, 1) }));
+    });
+    it("CK with only primitive components are rejected", () => {
+        let m = new WeakMap([], { keyBy: v => v.key });
+        assert.throws(() => m.set({ key: new CompositeKey(1, 2) }, 42), {
+            name: "TypeError",
+            message: /cannot be held weakly/,
+        });
+        assert.throws(() => m.set({ key: new CompositeKey(new CompositeKey(1), Symbol.for("a")) }, 42), TypeError);
+        assert(!m.has({ key: new CompositeKey(1, 2) }));
+        assert.equal(m.get({ key: new CompositeKey(1, 2) }), undefined);
+    });
+    it("nested keys carry their identity components", () => {
+        let obj = {};
+        let m = WeakMap.usingKeys();
+        m.set(Tuple(1, Record({ obj })), 42);
+        assert.equal(m.get(Tuple(1, Record({ obj }))), 42);
+        assert.throws(() => m.set(Tuple(1, Record({ x: 1 })), 42), TypeError);
+    });
+    it("entries live as long as their components", { skip: typeof globalThis.gc !== "function" && "requires --expose-gc" }, async () => {
+        let collected = false;
+        const fr = new FinalizationRegistry(() => collected = true);
+        let obj = {};
+        const m = WeakMap.usingKeys();
+        (() => {
+            const value = {};
+            fr.register(value, null);
+            m.set(Tuple(obj, Tuple(1)), value);
+        })();
+
+        await collectGarbage();
+        assert(!collected);
+        assert((() => m.has(Tuple(obj, Tuple(1))))());
+
+        obj = null;
+        await collectGarbage();
+        assert(collected);
+    });
+});
+
+test("WeakSet keyBy", () => {
+    let obj = {};
+    const s = WeakSet.usingKeys([Tuple(obj, 1)]);
+    assert(s.has(Tuple(obj, 1)));
+    assert(!s.has(Tuple(obj, 2)));
+    assert.throws(() => s.add(Tuple(1, 2)), TypeError);
+    assert(s.delete(Tuple(obj, 1)));
+    assert(!s.has(Tuple(obj, 1)));
+});
+
+describe("strict mode", () => {
+    it("Map.usingKeys falls back to identity by default", () => {
+        let m = Map.usingKeys();
+        m.set({}, 1);
+        m.set(Record({ child: {} }), 2);
+        assert.equal(m.size, 2);
+    });
+    it("Map.usingKeys throws for values without Symbol.keyBy", () => {
+        let m = Map.usingKeys([], { strict: true });
+        m.set(1, 1);
+        m.set(Record({ x: 1 }), 2);
+        assert.equal(m.get(Record({ x: 1 })), 2);
+        assert.throws(() => m.set({}, 3), {
+            name: "TypeError",
+            message: "key does not implement Symbol.keyBy",
+        });
+        assert.throws(() => m.has(Record({ child: Tuple(1, { x: 1 }) })), {
+            name: "TypeError",
+            message: "key.child[1] does not implement Symbol.keyBy",
+        });
+        assert.throws(() => m.get(Record({ "a-b": [], [Symbol.for("s")]: 1 })), {
+            message: 'key["a-b"] does not implement Symbol.keyBy',
+        });
+    });
+    it("keys cached outside of strict mode are checked again", () => {
+        let r = Record({ x: {} });
+        Map.usingKeys().set(r, 1);
+        assert.throws(() => Set.usingKeys([], { strict: true }).add(r), {
+            message: "key.x does not implement Symbol.keyBy",
+        });
+    });
+    it("custom keyBy must return a primitive or CompositeKey", () => {
+        let m = new Map([], { keyBy: v => v.id, strict: true });
+        m.set({ id: 1 }, 1);
+        m.set({ id: new CompositeKey({}) }, 2);
+        assert.throws(() => m.set({ id: {} }, 3), {
+            message: "keyBy must return a primitive or a CompositeKey in strict mode",
+        });
+        assert.throws(() => new Map([], { strict: true }), TypeError);
+    });
+    it("CompositeKey.strictOf", () => {
+        let obj = {};
+        assert(CompositeKey.equal(CompositeKey.strictOf(1, Tuple(2)), CompositeKey.of(1, Tuple(2))));
+        assert(CompositeKey.equal(CompositeKey.of(1, obj), new CompositeKey(1, obj)));
+        assert.throws(() => CompositeKey.strictOf(1, obj), {
+            message: "arguments[1] does not implement Symbol.keyBy",
+        });
+    });
+    it("Record.strict and Tuple.strict", () => {
+        assert(CompositeKey.equal(
+            Record.strict({ x: Tuple(1) })[Symbol.keyBy](),
+            Record({ x: Tuple.strict(1) })[Symbol.keyBy](),
+        ));
+        assert.throws(() => Record.strict({ x: { y: 1 } })[Symbol.keyBy](), {
+            message: "record.x does not implement Symbol.keyBy",
+        });
+        assert.throws(() => Tuple.strict(1, Record({ y: [] }))[Symbol.keyBy](), {
+            message: "tuple[1].y does not implement Symbol.keyBy",
+        });
+        assert.throws(() => Map.usingKeys().set(Record({ t: Tuple.strict(() => {}) }), 1), {
+            message: "tuple[0] does not implement Symbol.keyBy",
+        });
+    });
+    it("does not apply to non-strict keying done within a strict keyBy", () => {
+        const inner = Map.usingKeys();
+        const memoized = CompositeKey.memoize((v) => v);
+        const m = new Map(null, {
+            keyBy: (v) => {
+                inner.set({}, 1);
+                memoized({});
+                CompositeKey.of({});
+                return v.id;
+            },
+            strict: true,
+        });
+        m.set({ id: 1 }, 1);
+        assert.equal(m.get({ id: 1 }), 1);
+        assert.equal(inner.size, 2);
+        assert.throws(() => new Map(null, { keyBy: (v) => CompositeKey.strictOf(v), strict: true }).set({}, 1), {
+            message: "key[0] does not implement Symbol.keyBy",
+        });
+    });
+});
+
+describe("CompositeKey.field", () => {
+    const SymbolMetadata = Symbol.metadata ?? Symbol.for("Symbol.metadata");
+
+    // applies `CompositeKey.field` the way a compiler implementing decorators would
+    function decorateFields(C, ...names) {
+        const parentMetadata = Object.getPrototypeOf(C)[SymbolMetadata] ?? null;
+        const metadata = Object.create(parentMetadata);
+        for (const name of names) {
+            CompositeKey.field(undefined, {
+                kind: "field",
+                name,
+                static: false,
+                private: false,
+                metadata,
+                access: { get: (obj) => obj[name], set: (obj, v) => { obj[name] = v; }, has: (obj) => name in obj },
+                addInitializer() {},
+            });
+        }
+        Object.defineProperty(C, SymbolMetadata, { value: metadata });
+        return C;
+    }
+
+    class Position {
+        x;
+        y;
+        label;
+        constructor(x, y, label) {
+            this.x = x;
+            this.y = y;
+            this.label = label;
+        }
+        [Symbol.keyBy]() {
+            return CompositeKey.keyFor(this);
+        }
+    }
+    decorateFields(Position, "x", "y");
+
+    class Position3D extends Position {
+        z;
+        constructor(x, y, z, label) {
+            super(x, y, label);
+            this.z = z;
+        }
+    }
+    decorateFields(Position3D, "z");
+
+    it("keys by the decorated fields", () => {
+        assert(CompositeKey.equal(
+            CompositeKey.keyFor(new Position(1, 2, "a")),
+            CompositeKey.keyFor(new Position(1, 2, "b")),
+        ));
+        assert(!CompositeKey.equal(
+            CompositeKey.keyFor(new Position(1, 2)),
+            CompositeKey.keyFor(new Position(2, 1)),
+        ));
+        assert(CompositeKey.equal(
+            CompositeKey.keyFor(new Position(1, 2)),
+            new CompositeKey(Position, 1, 2),
+        ));
+    });
+    it("includes inherited fields and is namespaced by the constructor", () => {
+        assert(CompositeKey.equal(
+            CompositeKey.keyFor(new Position3D(1, 2, 3)),
+            new CompositeKey(Position3D, 1, 2, 3),
+        ));
+        assert(!CompositeKey.equal(
+            CompositeKey.keyFor(new Position3D(1, 2, undefined)),
+            CompositeKey.keyFor(new Position(1, 2)),
+        ));
+    });
+    it("resolves nested values through Symbol.keyBy", () => {
+        let s = Set.usingKeys();
+        s.add(new Position(Tuple(1), Record({ y: 2 })));
+        assert(s.has(new Position(Tuple(1), Record({ y: 2 }))));
+        assert.throws(() => Set.usingKeys([], { strict: true }).add(new Position({}, 1)), {
+            message: "key.x does not implement Symbol.keyBy",
+        });
+    });
+    it("validates its usage", () => {
+        assert.throws(() => CompositeKey.keyFor({}), {
+            message: "Object has no fields decorated with CompositeKey.field",
+        });
+        assert.throws(() => CompositeKey.field(() => {}, { kind: "method", name: "m" }), TypeError);
+        assert.throws(() => CompositeKey.field(undefined, { kind: "field", name: "f", static: false, metadata: undefined }), {
+            message: /requires decorator metadata/,
+        });
+    });
+});
+
+describe("getOrInsert", () => {
+    it("Map.prototype.getOrInsert", () => {
+        let rec1 = Record({ x: 1 });
+        let rec2 = Record({ x: 1 });
+        let m = Map.usingKeys();
+        assert.equal(m.getOrInsert(rec1, 1), 1);
+        assert.equal(m.getOrInsert(rec2, 2), 1);
+        assert.equal(m.size, 1);
+        assert.strictEqual([...m.keys()][0], rec1);
+    });
+    it("Map.prototype.getOrInsertComputed", () => {
+        let calls = [];
+        let keyByCalls = 0;
+        let m = new Map([], { keyBy: v => (keyByCalls++, v.id) });
+        let objA = { id: 1 };
+        assert.equal(m.getOrInsertComputed(objA, (k) => (calls.push(k), 42)), 42);
+        assert.equal(m.getOrInsertComputed({ id: 1 }, (k) => (calls.push(k), 99)), 42);
+        assert.deepStrictEqual(calls, [objA]);
+        assert.equal(keyByCalls, 2);
+        assert.throws(() => m.getOrInsertComputed({ id: 2 }, null), TypeError);
+        assert(!m.has({ id: 2 }));
+    });
+    it("keeps the existing key when the callback inserts it", () => {
+        let m = Map.usingKeys();
+        let rec1 = Record({ x: 1 });
+        let v = m.getOrInsertComputed(Record({ x: 1 }), () => {
+            m.set(rec1, 1);
+            return 2;
+        });
+        assert.equal(v, 2);
+        assert.deepStrictEqual([...m.values()], [2]);
+        assert.strictEqual([...m.keys()][0], rec1);
+    });
+    it("WeakMap.prototype.getOrInsert(Computed)", () => {
+        let obj = {};
+        let m = WeakMap.usingKeys();
+        assert.equal(m.getOrInsert(Tuple(obj), undefined), undefined);
+        assert.equal(m.getOrInsert(Tuple(obj), 1), undefined);
+        assert.equal(m.getOrInsertComputed(Tuple(obj, 1), () => 2), 2);
+        assert.equal(m.getOrInsertComputed(Tuple(obj, 1), () => 3), 2);
+        assert.throws(() => m.getOrInsert(Tuple(1), 1), TypeError);
+        assert.throws(() => m.getOrInsertComputed(Tuple(1), () => assert.fail()), TypeError);
+    });
+});
+
+describe("Set methods", () => {
+    const p = (x, y) => Record({ x, y });
+
+    it("work as usual by default", () => {
+        const a = new Set([1, 2, 3]);
+        const b = new Set([3, 4]);
+        assert.deepStrictEqual([...a.union(b)], [1, 2, 3, 4]);
+        assert.deepStrictEqual([...a.intersection(b)], [3]);
+        assert.deepStrictEqual([...a.difference(b)], [1, 2]);
+        assert.deepStrictEqual([...a.symmetricDifference(b)], [1, 2, 4]);
+        assert(!a.isSubsetOf(b));
+        assert(new Set([3]).isSubsetOf(b));
+        assert(a.isSupersetOf(new Set([1, 3])));
+        assert(!a.isDisjointFrom(b));
+        assert(a.isDisjointFrom(new Set([9])));
+        assert.equal(new Set([{}]).intersection(new Set([{}])).size, 0);
+    });
+    it("honour keyBy for Record and Tuple members", () => {
+        const a = Set.usingKeys([p(0, 0), p(0, 1), Tuple(1, 2)]);
+        const b = Set.usingKeys([p(0, 1), Tuple(1, 2), p(9, 9)]);
+        assert.deepStrictEqual([...a.union(b)], [p(0, 0), p(0, 1), Tuple(1, 2), p(9, 9)]);
+        assert.deepStrictEqual([...a.intersection(b)], [p(0, 1), Tuple(1, 2)]);
+        assert.deepStrictEqual([...a.difference(b)], [p(0, 0)]);
+        assert.deepStrictEqual([...a.symmetricDifference(b)], [p(0, 0), p(9, 9)]);
+        assert(Set.usingKeys([Tuple(1, 2)]).isSubsetOf(a));
+        assert(a.isSupersetOf(Set.usingKeys([p(0, 0)])));
+        assert(a.isDisjointFrom(Set.usingKeys([p(1, 1)])));
+        assert(!a.isDisjointFrom(b));
+    });
+    it("results inherit the receiver's keyBy and keep its elements", () => {
+        const first = p(0, 0);
+        const a = Set.usingKeys([first]);
+        const b = Set.usingKeys([p(0, 0), p(1, 1), p(2, 2)]);
+        const result = a.intersection(b);
+        assert.strictEqual([...result][0], first);
+        assert(result.has(p(0, 0)));
+        assert(a.union(b).has(p(2, 2)));
+    });
+    it("the receiver's keyBy wins when mixing sets", () => {
+        const keyed = Set.usingKeys([p(0, 0), p(1, 1)]);
+        const plain = new Set([p(0, 0), p(0, 0)]);
+        assert.equal(keyed.union(plain).size, 2);
+        assert(keyed.isSupersetOf(plain));
+        assert.deepStrictEqual([...keyed.difference(plain)], [p(1, 1)]);
+        assert.equal(plain.intersection(keyed).size, 0);
+
+        const byId = new Set([{ id: 1, v: "a" }], { keyBy: v => v.id });
+        const byV = new Set([{ id: 2, v: "a" }], { keyBy: v => v.v });
+        assert.equal(byId.intersection(byV).size, 0);
+        assert.equal(byV.intersection(byId).size, 1);
+    });
+    it("accept set-like arguments", () => {
+        const setLike = {
+            size: 2,
+            has: (v) => v === 1 || v === 2,
+            keys: () => [1, 2][Symbol.iterator](),
+        };
+        assert.deepStrictEqual([...new Set([1, 3]).intersection(setLike)], [1]);
+        assert.deepStrictEqual([...new Set([1, 3]).union(setLike)], [1, 3, 2]);
+        assert.deepStrictEqual([...Set.usingKeys([Tuple(1)]).union({
+            size: 1,
+            has: () => false,
+            keys: () => [Tuple(1), Tuple(2)][Symbol.iterator](),
+        })], [Tuple(1), Tuple(2)]);
+        assert.throws(() => new Set().union([1]), TypeError);
+        assert.throws(() => new Set().union({ size: -1, has() {}, keys() {} }), RangeError);
+        assert.throws(() => new Set().union({ size: 1, has: null, keys() {} }), TypeError);
+    });
+    it("closes the iterator on early exit", () => {
+        let closed = false;
+        const setLike = {
+            size: 2,
+            has: () => true,
+            keys: () => ({
+                next: () => ({ done: false, value: 9 }),
+                return: () => (closed = true, {}),
+            }),
+        };
+        assert(!new Set([1, 2]).isSupersetOf(setLike));
+        assert(closed);
+    });
+});
+
+describe("Map.groupBy", () => {
+    const orders = [
+        { id: 1, region: "eu", currency: "EUR" },
+        { id: 2, region: "us", currency: "USD" },
+        { id: 3, region: "eu", currency: "EUR" },
+        { id: 4, region: "eu", currency: "GBP" },
+    ];
+
+    it("groups by SameValueZero by default", () => {
+        const groups = Map.groupBy(orders, (o, i) => i % 2 === 0 ? o.region : -0);
+        assert.deepStrictEqual([...groups.keys()], ["eu", 0]);
+        assert(Object.is([...groups.keys()][1], 0));
+        assert.deepStrictEqual(groups.get("eu").map(o => o.id), [1, 3]);
+        assert.equal(Map.groupBy(orders, ({ region, currency }) => Record({ region, currency })).size, 4);
+    });
+    it("groups using keyBy", () => {
+        const groups = Map.groupBy(orders, (o) => o, { keyBy: (o) => o.currency });
+        assert.deepStrictEqual([...groups.values()].map(g => g.map(o => o.id)), [[1, 3], [2], [4]]);
+        assert.strictEqual([...groups.keys()][0], orders[0]);
+    });
+    it("Map.groupByKeys groups by compound values", () => {
+        const groups = Map.groupByKeys(orders, ({ region, currency }) => Record({ region, currency }));
+        assert.equal(groups.size, 3);
+        assert.deepStrictEqual(groups.get(Record({ region: "eu", currency: "EUR" })).map(o => o.id), [1, 3]);
+        assert.deepStrictEqual([...groups.keys()], [
+            { region: "eu", currency: "EUR" },
+            { region: "us", currency: "USD" },
+            { region: "eu", currency: "GBP" },
+        ]);
+        assert.throws(() => Map.groupByKeys(orders, (o) => o, { strict: true }), TypeError);
+        assert.throws(() => Map.groupByKeys(orders, null), TypeError);
+    });
+});
+
+describe("deduplication", () => {
+    const positions = [
+        Record({ x: 0, y: 0 }),
+        Record({ x: 0, y: 1 }),
+        Record({ x: 0, y: 0 }),
+        Tuple(1, 1),
+        Tuple(1, 1),
+    ];
+
+    it("Array.prototype.uniqueBy", () => {
+        const unique = positions.uniqueBy();
+        assert.deepStrictEqual(unique, [{ x: 0, y: 0 }, { x: 0, y: 1 }, [1, 1]]);
+        assert.strictEqual(unique[0], positions[0]);
+        assert.deepStrictEqual([1, 2, 1, 3].uniqueBy(), [1, 2, 3]);
+        assert.deepStrictEqual([{ id: 1 }, { id: 1, v: 2 }].uniqueBy(v => v.id), [{ id: 1 }]);
+        assert.deepStrictEqual([{ id: 1 }, { id: 1, v: 2 }].uniqueBy({ keyBy: v => v.v }), [{ id: 1 }, { id: 1, v: 2 }]);
+        assert.throws(() => [{}].uniqueBy({ strict: true }), TypeError);
+    });
+    it("Iterator.prototype.distinct is lazy", () => {
+        const pulled = [];
+        function* source() {
+            for (const p of positions) {
+                pulled.push(p);
+                yield p;
+            }
+        }
+        const it = source().distinct();
+        assert.deepStrictEqual(it.next().value, { x: 0, y: 0 });
+        assert.deepStrictEqual(it.next().value, { x: 0, y: 1 });
+        assert.equal(pulled.length, 2);
+        assert.deepStrictEqual(it.next().value, [1, 1]);
+        assert.equal(pulled.length, 4);
+        assert(it.next().done);
+        assert.deepStrictEqual([...new Set([1, 2]).values().distinct(() => 0)], [1]);
+    });
+    it("closes the source iterator", () => {
+        let closed = false;
+        const source = [1, 1, 2][Symbol.iterator]();
+        source.return = () => (closed = true, { done: true });
+        for (const v of source.distinct()) {
+            break;
+        }
+        assert(closed);
+    });
+});
+
+describe("CompositeKey.equalValues", () => {
+    const { equalValues } = CompositeKey;
+    const keyEqual = (a, b) => CompositeKey.equal(CompositeKey.of(a), CompositeKey.of(b));
+
+    it("agrees with comparing keys", () => {
+        const obj = {};
+        const custom = { [Symbol.keyBy]: () => Tuple(1, "a")[Symbol.keyBy]() };
+        const values = [
+            1, -0, 0, NaN, "1", 1n, null, undefined, obj, {}, custom, new CompositeKey(1, "a"),
+            Tuple(), Tuple(1, "a"), Tuple(1, "a"), Tuple("a", 1), Tuple(1, "a", undefined), Tuple(obj), Tuple({}),
+            Tuple(NaN, -0), Tuple(NaN, 0), Tuple(Tuple(1)), Tuple(Record({ x: 1 })), Tuple(custom), Tuple(Tuple(1, "a")),
+            Record({}), Record({ x: 1, y: 2 }), Record({ y: 2, x: 1 }), Record({ x: 1 }), Record({ x: 1, z: 2 }),
+            Record({ [Symbol.for("s")]: 1 }), Record({ x: Tuple(obj) }), Record({ x: Tuple(obj) }), Record({ x: Tuple({}) }),
+            Record.strict({ x: 1, y: 2 }), Tuple.strict(1, "a"), Record({ x: 1, [Symbol.keyBy]: () => new CompositeKey(1) }),
+        ];
+        for (const [i, a] of values.entries()) {
+            for (const [j, b] of values.entries()) {
+                assert.equal(equalValues(a, b), keyEqual(a, b), `${i} ${j}`);
+            }
+        }
+    });
+    it("uses keys that have already been computed", () => {
+        const a = Tuple(1, Record({ x: 2 }));
+        const b = Tuple(1, Record({ x: 2 }));
+        a[Symbol.keyBy]();
+        assert(equalValues(a, b));
+        b[Symbol.keyBy]();
+        assert(equalValues(a, b));
+        assert(!equalValues(a, Tuple(1, Record({ x: 3 }))));
+    });
+    it("exits early on the first difference", () => {
+        let calls = 0;
+        const spy = { [Symbol.keyBy]: () => (calls++, new CompositeKey(1)) };
+        assert(!equalValues(Tuple(1, spy), Tuple(1, spy, 2)));
+        assert(!equalValues(Record({ a: spy }), Record({ b: spy })));
+        assert.equal(calls, 0);
+    });
+    it("is available on Record and Tuple", () => {
+        assert(Record.equals(Record({ a: Tuple(1) }), Record({ a: Tuple(1) })));
+        assert(!Tuple.equals(Tuple(1), Tuple(2)));
+    });
+});
+
+describe("CompositeKey.compare", () => {
+    const { compare } = CompositeKey;
+
+    it("orders primitives by type and then value", () => {
+        const s = Symbol("s");
+        const values = [s, "b", 2n, NaN, true, {}, 10, null, "a", Symbol.for("z"), -1, false, new CompositeKey()];
+        const sorted = values.slice().sort(compare);
+        assert.deepStrictEqual(sorted.slice(0, 11), [null, false, true, -1, 10, NaN, 2n, "a", "b", Symbol.for("z"), s]);
+        assert(sorted[11] instanceof CompositeKey);
+        assert.deepStrictEqual(sorted[12], {});
+        assert(compare(undefined, null) < 0);
+    });
+    it("follows SameValueZero", () => {
+        assert.equal(compare(NaN, NaN), 0);
+        assert.equal(compare(-0, 0), 0);
+        assert.equal(compare("10", "9"), -1);
+    });
+    it("orders keys by their components", () => {
+        assert(compare(new CompositeKey(1, 2), new CompositeKey(1, 3)) < 0);
+        assert(compare(new CompositeKey(2), new CompositeKey(1, 3)) > 0);
+        assert(compare(new CompositeKey(1), new CompositeKey(1, 0)) < 0);
+        assert(compare(new CompositeKey(new CompositeKey(1)), new CompositeKey(new CompositeKey(0, 1))) > 0);
+
+        let obj = {};
+        assert.equal(compare(new CompositeKey(1, obj, "x"), new CompositeKey(1, obj, "x")), 0);
+        assert(compare(new CompositeKey(1, obj, "x"), new CompositeKey(1, obj, "y")) < 0);
+    });
+    it("is consistent with CompositeKey.equal", () => {
+        let obj1 = {};
+        let obj2 = {};
+        const keys = [
+            new CompositeKey(1, obj1), new CompositeKey(1, obj2), new CompositeKey(obj1, 1),
+            new CompositeKey(new CompositeKey(obj1)), new CompositeKey(new CompositeKey(obj1)),
+            new CompositeKey(), new CompositeKey(1, obj1), new CompositeKey(NaN), new CompositeKey(NaN),
+        ];
+        for (const a of keys) {
+            for (const b of keys) {
+                assert.equal(compare(a, b) === 0, CompositeKey.equal(a, b));
+                assert.equal(Math.sign(compare(a, b)), -Math.sign(compare(b, a)));
+            }
+        }
+    });
+    it("sorts Records and Tuples", () => {
+        const records = [
+            Record({ x: 1, y: 2 }),
+            Record({ x: 0, y: 5 }),
+            Record({ x: 1, y: 1 }),
+            Record({ x: 0, y: 5 }),
+        ];
+        assert.deepStrictEqual(records.sort(Record.compare), [
+            { x: 0, y: 5 }, { x: 0, y: 5 }, { x: 1, y: 1 }, { x: 1, y: 2 },
+        ]);
+        assert.deepStrictEqual([Tuple(2), Tuple(1, 9), Tuple(1)].sort(Tuple.compare), [[1], [1, 9], [2]]);
+        assert(Tuple.compare(Record({}), Tuple()) < 0);
+    });
+});
+
+describe("SortedMap", () => {
+    it("orders entries by key", () => {
+        const m = new SortedMap([[3, "c"], [1, "a"], [2, "b"], ["x", "d"]]);
+        assert.deepStrictEqual([...m], [[1, "a"], [2, "b"], [3, "c"], ["x", "d"]]);
+        m.set(2, "B");
+        assert.equal(m.get(2), "B");
+        assert.equal(m.size, 4);
+        assert(m.delete(1));
+        assert(!m.delete(1));
+        assert.deepStrictEqual([...m.keys()], [2, 3, "x"]);
+    });
+    it("supports keyBy and usingKeys", () => {
+        const m = SortedMap.usingKeys();
+        m.set(Tuple(2, 0), "c");
+        m.set(Tuple(1, 5), "b");
+        m.set(Tuple(1, 0), "a");
+        m.set(Tuple(1, 5), "B");
+        assert.deepStrictEqual([...m.values()], ["a", "B", "c"]);
+        assert.equal(m.get(Tuple(1, 5)), "B");
+
+        const byId = new SortedMap([], { keyBy: v => v.id });
+        byId.set({ id: 2 }, 2).set({ id: 1 }, 1);
+        assert.deepStrictEqual([...byId.keys()], [{ id: 1 }, { id: 2 }]);
+    });
+    it("floor and ceiling", () => {
+        const m = new SortedMap([[10, "a"], [20, "b"], [30, "c"]]);
+        assert.deepStrictEqual(m.floor(25), [20, "b"]);
+        assert.deepStrictEqual(m.floor(20), [20, "b"]);
+        assert.equal(m.floor(5), undefined);
+        assert.deepStrictEqual(m.ceiling(25), [30, "c"]);
+        assert.deepStrictEqual(m.ceiling(10), [10, "a"]);
+        assert.equal(m.ceiling(31), undefined);
+    });
+    it("range queries over compound keys", () => {
+        const events = SortedMap.usingKeys();
+        for (const [user, time] of [["bob", 5], ["amy", 3], ["bob", 1], ["bob", 9], ["amy", 7], ["cat", 2]]) {
+            events.set(Tuple(user, time), `${user}@${time}`);
+        }
+        assert.deepStrictEqual([...events.range(Tuple("bob", 1), Tuple("bob", 9))].map(([, v]) => v), ["bob@1", "bob@5"]);
+        assert.deepStrictEqual([...events.prefix(Tuple("bob"))].map(([, v]) => v), ["bob@1", "bob@5", "bob@9"]);
+        assert.deepStrictEqual([...events.prefix(Tuple("amy"))].map(([k]) => k), [["amy", 3], ["amy", 7]]);
+        assert.deepStrictEqual([...events.prefix(Tuple("dan"))], []);
+        assert.throws(() => [...new SortedMap().prefix(Tuple("bob"))], TypeError);
+    });
+    it("stays balanced and ordered", () => {
+        const m = new SortedMap();
+        const expected = new Set();
+        let seed = 1;
+        const random = () => (seed = (seed * 16807) % 2147483647) % 500;
+        for (let i = 0; i < 5000; i++) {
+            const n = random();
+            if (i % 3 === 0) {
+                assert.equal(m.delete(n), expected.delete(n));
+            } else {
+                m.set(n, n);
+                expected.add(n);
+            }
+        }
+        assert.equal(m.size, expected.size);
+        assert.deepStrictEqual([...m.keys()], [...expected].sort((a, b) => a - b));
+    });
+    it("can be modified during iteration", () => {
+        const m = new SortedMap([[1, 1], [2, 2], [3, 3]]);
+        const seen = [];
+        for (const [k] of m) {
+            seen.push(k);
+            if (k === 1) {
+                m.delete(2);
+                m.set(4, 4);
+            }
+        }
+        assert.deepStrictEqual(seen, [1, 3, 4]);
+    });
+    it("normalizes -0 keys and checks its entries like Map", () => {
+        assert(Object.is([...new SortedMap([[-0, 1]]).keys()][0], 0));
+        assert(Object.is(new SortedMap().set(-0, 1).floor(0)[0], 0));
+        assert(Object.is([...SortedSet.usingKeys([-0])][0], 0));
+        assert.throws(() => new SortedMap(["for"]), { name: "TypeError", message: "iterator value for is not an entry object" });
+        assert.throws(() => new SortedMap([1]), { name: "TypeError", message: "iterator value 1 is not an entry object" });
+    });
+    it("forEach checks the callback before iterating", () => {
+        assert.throws(() => new SortedMap().forEach(undefined), TypeError);
+        assert.throws(() => new SortedMap([[1, 1]]).forEach({}), TypeError);
+        const seen = [];
+        new SortedMap([[2, "b"], [1, "a"]]).forEach(function (v, k, m) { seen.push([v, k, m.size, this]); }, "this");
+        assert.deepStrictEqual(seen, [["a", 1, 2, "this"], ["b", 2, 2, "this"]]);
+    });
+});
+
+test("SortedSet", () => {
+    const s = SortedSet.usingKeys([Tuple(1, 2), Tuple(0, 5), Tuple(1, 2), Tuple(1, 0)]);
+    assert.deepStrictEqual([...s], [[0, 5], [1, 0], [1, 2]]);
+    assert(s.has(Tuple(1, 0)));
+    assert.deepStrictEqual(s.floor(Tuple(1, 1)), [1, 0]);
+    assert.deepStrictEqual(s.ceiling(Tuple(1, 1)), [1, 2]);
+    assert.deepStrictEqual([...s.range(Tuple(0), Tuple(1, 2))], [[0, 5], [1, 0]]);
+    assert.deepStrictEqual([...s.prefix(Tuple(1))], [[1, 0], [1, 2]]);
+    assert(s.delete(Tuple(0, 5)));
+    assert.equal(s.size, 2);
+    assert.throws(() => new SortedSet().forEach(undefined), TypeError);
+    assert.throws(() => s.forEach(null), TypeError);
+});
+
+describe("serialization", () => {
+    const value = Record({
+        id: Tuple(1, "a", undefined, NaN, 10n),
+        [Symbol.for("tag")]: Symbol.for("value"),
+        nested: Record({ list: [1, Tuple(2)], missing: undefined }),
+        plain: { $keyby: "record", n: -Infinity },
+    });
+
+    function assertRoundTrip(copy) {
+        assert(Record.isRecord(copy));
+        assert(Object.isFrozen(copy));
+        assert(Tuple.isTuple(copy.id));
+        assert(!Tuple.isTuple(copy.nested.list));
+        assert(Tuple.isTuple(copy.nested.list[1]));
+        assert.deepStrictEqual(copy.plain, { $keyby: "record", n: -Infinity });
+        assert.strictEqual(copy[Symbol.for("tag")], Symbol.for("value"));
+        assert(Object.hasOwn(copy.nested, "missing"));
+        // plain objects and arrays are still compared by identity
+        assert(Set.usingKeys([value]).has(Record({ ...copy, nested: value.nested, plain: value.plain })));
+        assert(CompositeKey.equal(copy.id[Symbol.keyBy](), value.id[Symbol.keyBy]()));
+    }
+
+    it("round-trips through JSON", () => {
+        const json = JSON.stringify(value, jsonReplacer);
+        assert.equal(typeof json, "string");
+        assertRoundTrip(JSON.parse(json, jsonReviver));
+    });
+    it("round-trips through structuredClone", () => {
+        assertRoundTrip(decode(structuredClone(encode(value))));
+    });
+    it("keeps strictness", () => {
+        const copy = JSON.parse(JSON.stringify(Tuple(Record.strict({ x: {} }), Tuple.strict([])), jsonReplacer), jsonReviver);
+        assert.throws(() => copy[0][Symbol.keyBy](), { message: "record.x does not implement Symbol.keyBy" });
+        assert.throws(() => copy[1][Symbol.keyBy](), { message: "tuple[0] does not implement Symbol.keyBy" });
+    });
+    it("rebuilds CompositeKeys made of primitives", () => {
+        const key = new CompositeKey(1, "a", new CompositeKey(Symbol.for("s"), null), Tuple(2)[Symbol.keyBy]());
+        const json = JSON.stringify(key, jsonReplacer);
+        assert(CompositeKey.equal(JSON.parse(json, jsonReviver), key));
+        assert(CompositeKey.equal(decode(structuredClone(encode(key))), key));
+        assert(CompositeKey.equal(decode(encode(Record({ x: 1 })[Symbol.keyBy]())), Record({ x: 1 })[Symbol.keyBy]()));
+    });
+    it("rejects values that cannot be rebuilt", () => {
+        assert.throws(() => JSON.stringify(new CompositeKey(1, {}), jsonReplacer), TypeError);
+        assert.throws(() => encode(new CompositeKey(new CompositeKey(Symbol()))), TypeError);
+        assert.throws(() => encode(Tuple(Symbol("local"))), /not a registered symbol/);
+    });
+    it("leaves plain JSON unchanged", () => {
+        const plain = { a: [1, "b", null, { c: true }], d: undefined };
+        assert.equal(JSON.stringify(plain, jsonReplacer), JSON.stringify(plain));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(plain), jsonReviver), { a: [1, "b", null, { c: true }] });
+    });
+});
+
+describe("snapshots", () => {
+    it("round-trip a keyed Map through structuredClone", () => {
+        const m = Map.usingKeys([[Record({ x: 1 }), Tuple("a", 1)], [Tuple(2), { plain: true }]]);
+        const copy = Map.fromSnapshot(structuredClone(m.toSnapshot()));
+        assert.equal(copy.size, 2);
+        assert(CompositeKey.equal(copy.get(Record({ x: 1 }))[Symbol.keyBy](), Tuple("a", 1)[Symbol.keyBy]()));
+        assert.deepStrictEqual(copy.get(Tuple(2)), { plain: true });
+        copy.set(Record({ x: 1 }), 3);
+        assert.equal(copy.size, 2);
+    });
+    it("round-trip Sets and keep the keyBy mode", () => {
+        const strict = Set.fromSnapshot(structuredClone(Set.usingKeys([Tuple(1)], { strict: true }).toSnapshot()));
+        assert(strict.has(Tuple(1)));
+        assert.throws(() => strict.add({}), TypeError);
+
+        const plain = Set.fromSnapshot(structuredClone(new Set([1, "a"]).toSnapshot()));
+        assert.deepStrictEqual([...plain], [1, "a"]);
+        plain.add(Tuple(1));
+        assert(!plain.has(Tuple(1)));
+    });
+    it("rejects custom keyBy functions", () => {
+        assert.throws(() => new Map([], { keyBy: v => v.id }).toSnapshot(), {
+            name: "TypeError",
+            message: /custom keyBy function cannot be transported/,
+        });
+        assert.throws(() => Map.fromSnapshot(Set.usingKeys().toSnapshot()), TypeError);
+    });
+    it("rejects values with their own Symbol.keyBy method", () => {
+        class Pos {
+            constructor(x, y) {
+                this.x = x;
+                this.y = y;
+            }
+            [Symbol.keyBy]() {
+                return new CompositeKey(Pos, this.x, this.y);
+            }
+        }
+        const message = /value with its own Symbol.keyBy method cannot be transported/;
+        assert.throws(() => Map.usingKeys([[new Pos(1, 2), 1]]).toSnapshot(), { name: "TypeError", message });
+        assert.throws(() => new Map([[1, [{ at: new Pos(1, 2) }]]]).toSnapshot(), { name: "TypeError", message });
+        assert.throws(() => Set.usingKeys([Tuple(1, Record({ at: new Pos(1, 2) }))]).toSnapshot(), { name: "TypeError", message });
+        assert.doesNotThrow(() => Map.usingKeys([[Record({ x: 1 }), new CompositeKey(1)], [{ x: new Date(0) }, 2]]).toSnapshot());
+    });
+    it("can be posted to a worker", async () => {
+        const worker = new Worker(`
+            const { parentPort, workerData } = require("node:worker_threads");
+            require(workerData.polyfill);
+            parentPort.once("message", (snapshot) => {
+                const m = Map.fromSnapshot(snapshot);
+                m.set(Record({ shard: 2 }), m.get(Record({ shard: 1 })) + 1);
+                parentPort.postMessage(m.toSnapshot());
+            });
+        `, { eval: true, workerData: { polyfill: new URL("./polyfill.js", import.meta.url).pathname } });
+        try {
+            worker.postMessage(Map.usingKeys([[Record({ shard: 1 }), 41]]).toSnapshot());
+            const [snapshot] = await new Promise((resolve, reject) => {
+                worker.once("message", (m) => resolve([m]));
+                worker.once("error", reject);
+            });
+            const m = Map.fromSnapshot(snapshot);
+            assert.equal(m.get(Record({ shard: 2 })), 42);
+            assert.equal(m.size, 2);
+        } finally {
+            await worker.terminate();
+        }
+    });
+});
+
+describe("membranes", () => {
+    const capability = takeMembraneCapability();
+
+    it("can only be taken once", () => {
+        assert.throws(() => takeMembraneCapability(), TypeError);
+    });
+    it("exposes the components of a key", () => {
+        const o = {};
+        const inner = new CompositeKey(o);
+        assert.deepStrictEqual(capability.components(new CompositeKey(1, inner, "a")), [1, inner, "a"]);
+        assert.deepStrictEqual(capability.components(Record({ a: 1 })[Symbol.keyBy]()), [capability.namespaces.record, "a", 1]);
+        assert.throws(() => capability.components({}), TypeError);
+        assert.ok(capability.isCompositeKey(inner));
+        assert.ok(!capability.isCompositeKey(o));
+    });
+    it("re-creates keys on the other side of a proxy membrane", () => {
+        const proxies = new WeakMap();
+        const wrap = (obj) => proxies.getOrInsertComputed(obj, () => new Proxy(obj, {}));
+        const obj = {};
+        const m = Map.usingKeys([[new CompositeKey(wrap(obj), new CompositeKey(wrap(obj))), "inside"]]);
+        const key = new CompositeKey(obj, new CompositeKey(obj));
+        assert.equal(m.get(capability.rebuild(key, wrap)), "inside");
+        assert.equal(m.get(key), undefined);
+    });
+    it("re-creates keys in another realm", () => {
+        const source = readFileSync(new URL("./keyby.js", import.meta.url), "utf8");
+        const module = { exports: {} };
+        vm.runInNewContext(`(function (module) {${source}\n})`)(module);
+        const other = module.exports.takeMembraneCapability();
+        const { Record: OtherRecord, Tuple: OtherTuple, CompositeKey: OtherCompositeKey, keyBy } = module.exports;
+        const obj = {};
+        const rebuilt = capability.rebuild(Record({ a: 1, b: Tuple(obj) })[Symbol.keyBy](), o => o, other);
+        assert.ok(rebuilt instanceof OtherCompositeKey);
+        assert.ok(OtherCompositeKey.equal(rebuilt, OtherRecord({ a: 1, b: OtherTuple(obj) })[keyBy]()));
+        assert.ok(!OtherCompositeKey.equal(rebuilt, OtherRecord({ a: 1, b: OtherTuple({}) })[keyBy]()));
+    });
+});
+
+describe("debug inspection", () => {
+    it("is off by default", () => {
+        assert.equal(inspect(new CompositeKey(1, 2)), "CompositeKey {}");
+        assert.throws(() => CompositeKey.debugDescribe(new CompositeKey(1, 2)), TypeError);
+    });
+    it("describes the components of keys", (t) => {
+        setDebugInspection();
+        t.after(() => setDebugInspection(false));
+        class Point {}
+        const p1 = new Point();
+        const p2 = new Point();
+        const key = new CompositeKey(1, -0, "a", 2n, null, undefined, Symbol.for("s"), p1, new CompositeKey(p2, p1));
+        const description = CompositeKey.debugDescribe(key);
+        assert.match(description, /^CompositeKey\(1, 0, "a", 2n, null, undefined, Symbol.for\("s"\), #(\d+) Point, CompositeKey\(#(\d+) Point, #\1 Point\)\)$/);
+        const [, label1, label2] = /** @type {RegExpMatchArray} */ (description.match(/#(\d+).*?#(\d+)/));
+        assert.notEqual(label1, label2);
+        assert.equal(CompositeKey.debugDescribe(new CompositeKey(p1)), `CompositeKey(#${label1} Point)`);
+        assert.equal(inspect(key), description);
+        assert.equal(inspect({ key: new CompositeKey(1) }), "{ key: CompositeKey(1) }");
+    });
+    it("describes -0 and 0 the same regardless of which was used first", (t) => {
+        setDebugInspection();
+        t.after(() => setDebugInspection(false));
+        class Point {}
+        const p = new Point();
+        new CompositeKey(p, -0);
+        assert.match(CompositeKey.debugDescribe(new CompositeKey(p, 0)), /^CompositeKey\(#\d+ Point, 0\)$/);
+        new CompositeKey(-0, p);
+        assert.match(CompositeKey.debugDescribe(new CompositeKey(0, p)), /^CompositeKey\(0, #\d+ Point\)$/);
+    });
+    it("describes Records and Tuples", (t) => {
+        setDebugInspection();
+        t.after(() => setDebugInspection(false));
+        const r = Record({ b: Tuple(1, Record({})), a: "x", "not-id": 0 });
+        assert.equal(CompositeKey.debugDescribe(r), `Record { a: "x", b: Tuple [1, Record {}], "not-id": 0 }`);
+        assert.equal(CompositeKey.debugDescribe(r[Symbol.keyBy]()), `CompositeKey(${CompositeKey.debugDescribe(r)})`);
+        assert.throws(() => CompositeKey.debugDescribe({}), TypeError);
+    });
+});
+
+describe("CompositeKey.memoize", () => {
+    it("caches results per argument list", () => {
+        const calls = [];
+        const f = CompositeKey.memoize((a, b) => {
+            calls.push([a, b]);
+            return { sum: a + b.x };
+        });
+        const b = { x: 2 };
+        const result = f(1, b);
+        assert.equal(f(1, b), result);
+        assert.notEqual(f(1, { x: 2 }), result);
+        assert.notEqual(f(1, b, undefined), result);
+        assert.equal(calls.length, 3);
+    });
+    it("resolves Symbol.keyBy like CompositeKey.of", () => {
+        let calls = 0;
+        const f = CompositeKey.memoize((point) => ++calls);
+        assert.equal(f(Record({ x: 1 })), 1);
+        assert.equal(f(Record({ x: 1 })), 1);
+        assert.equal(f(Tuple(1)), 2);
+        assert.equal(f(NaN), 3);
+        assert.equal(f(NaN), 3);
+        assert.equal(f(-0), 4);
+        assert.equal(f(0), 4);
+    });
+    it("accepts a keyBy", () => {
+        const f = CompositeKey.memoize((user) => user.name, { keyBy: (user) => user.id });
+        assert.equal(f({ id: 1, name: "a" }), "a");
+        assert.equal(f({ id: 1, name: "b" }), "a");
+        assert.throws(() => CompositeKey.memoize(() => {}, { keyBy: 1 }), TypeError);
+        assert.throws(() => CompositeKey.memoize(1), TypeError);
+    });
+    it("throws for values without Symbol.keyBy in strict mode", () => {
+        const f = CompositeKey.memoize((v) => v, { strict: true });
+        assert.equal(f(Tuple(1), "a"), f(Tuple(1), "a"));
+        assert.throws(() => f(1, Tuple({})), /arguments\[1\]\[0\] does not implement Symbol.keyBy/);
+    });
+    it("keys by this", () => {
+        class Counter {
+            count = 0;
+            next = CompositeKey.memoize(function (step) {
+                return (this.count += step);
+            });
+        }
+        const a = new Counter();
+        const b = new Counter();
+        assert.equal(a.next(1), 1);
+        assert.equal(a.next(1), 1);
+        assert.equal(b.next(1), 1);
+        assert.equal(a.next(2), 3);
+        const shared = CompositeKey.memoize(function () {
+            return this;
+        });
+        assert.equal(shared.call(a), a);
+        assert.equal(shared.call(b), b);
+    });
+    it("does not cache thrown errors", () => {
+        let calls = 0;
+        const f = CompositeKey.memoize(() => {
+            if (++calls === 1) throw new Error("first");
+            return calls;
+        });
+        assert.throws(() => f(), /first/);
+        assert.equal(f(), 2);
+        assert.equal(f(), 2);
+    });
+    it("caches promises and evicts those that reject", async () => {
+        let calls = 0;
+        const f = CompositeKey.memoize(async (id) => {
+            calls++;
+            if (calls === 1) throw new Error("offline");
+            return id;
+        });
+        const rejected = f("a");
+        assert.equal(f("a"), rejected);
+        await assert.rejects(rejected, /offline/);
+        const resolved = f("a");
+        assert.notEqual(resolved, rejected);
+        assert.equal(await resolved, "a");
+        assert.equal(f("a"), resolved);
+        assert.equal(calls, 2);
+    });
+    it("clear and delete", () => {
+        let calls = 0;
+        const f = CompositeKey.memoize(() => ++calls);
+        const obj = {};
+        assert.equal(f(1), 1);
+        assert.equal(f(obj), 2);
+        assert.equal(f.delete(undefined, 1), true);
+        assert.equal(f.delete(undefined, 1), false);
+        assert.equal(f(1), 3);
+        assert.equal(f(obj), 2);
+        f.clear();
+        assert.equal(f(1), 4);
+        assert.equal(f(obj), 5);
+
+        const g = CompositeKey.memoize(function () {
+            return ++calls;
+        });
+        const thisArg = {};
+        const result = g.call(thisArg, 1);
+        assert.equal(g.delete(undefined, 1), false);
+        assert.equal(g.delete(thisArg, 1), true);
+        assert.notEqual(g.call(thisArg, 1), result);
+
+        const method = { m: g };
+        const first = method.m(1);
+        assert.equal(method.m.delete(method, 1), true);
+        assert.notEqual(method.m(1), first);
+    });
+});
+
+describe("MultiMap", () => {
+    it("keeps a list of values per key", () => {
+        const m = MultiMap.usingKeys([[Tuple(1, 2), "a"], [Tuple(0), "b"]]);
+        m.add(Tuple(1, 2), "c").add(Tuple(1, 2), "a");
+        assert.equal(m.size, 2);
+        assert.deepStrictEqual(m.get(Tuple(1, 2)), ["a", "c", "a"]);
+        assert.equal(m.count(Tuple(1, 2)), 3);
+        assert.deepStrictEqual(m.get(Tuple(9)), []);
+        assert.equal(m.count(Tuple(9)), 0);
+        assert.deepStrictEqual([...m.keys()], [Tuple(1, 2), Tuple(0)]);
+        assert.deepStrictEqual([...m], [[Tuple(1, 2), "a"], [Tuple(1, 2), "c"], [Tuple(1, 2), "a"], [Tuple(0), "b"]]);
+        assert.deepStrictEqual([...m.values()], ["a", "c", "a", "b"]);
+        assert.equal(Object.prototype.toString.call(m), "[object MultiMap]");
+    });
+    it("removes one value at a time, compared using Symbol.keyBy", () => {
+        const m = MultiMap.usingKeys([["k", Record({ id: 1 })], ["k", Record({ id: 2 })], ["k", Record({ id: 1 })]]);
+        assert.equal(m.remove("k", Record({ id: 1 })), true);
+        assert.deepStrictEqual(m.get("k"), [Record({ id: 2 }), Record({ id: 1 })]);
+        assert.equal(m.remove("k", Record({ id: 3 })), false);
+        assert.equal(m.remove("other", 1), false);
+        m.get("k").push("not stored");
+        assert.equal(m.count("k"), 2);
+    });
+    it("removes keys without values", () => {
+        const m = MultiMap.usingKeys([["a", 1], ["b", 2]]);
+        m.remove("a", 1);
+        assert.equal(m.has("a"), false);
+        assert.equal(m.size, 1);
+        m.add("a", 3);
+        assert.deepStrictEqual([...m.keys()], ["b", "a"]);
+        assert.equal(m.delete("a"), true);
+        assert.equal(m.delete("a"), false);
+        m.clear();
+        assert.equal(m.size, 0);
+    });
+    it("can keep a keyed set of values per key", () => {
+        const m = new MultiMap(null, { keyBy: (user) => user.id, values: "set" });
+        const alice = { id: 1 };
+        m.add(alice, Tuple("read")).add({ id: 1 }, Tuple("write")).add(alice, Tuple("read"));
+        assert.deepStrictEqual(m.get(alice), [Tuple("read"), Tuple("write")]);
+        assert.equal(m.count({ id: 1 }), 2);
+        assert.equal(m.remove(alice, Tuple("read")), true);
+        assert.equal(m.remove(alice, Tuple("read")), false);
+        assert.equal(m.remove(alice, Tuple("write")), true);
+        assert.equal(m.size, 0);
+        assert.throws(() => new MultiMap(null, { values: "array" }), TypeError);
+    });
+    it("uses strict mode like Map", () => {
+        assert.throws(() => MultiMap.usingKeys([[{}, 1]], { strict: true }), /key does not implement Symbol.keyBy/);
+        const m = new MultiMap([], { keyBy: (v) => v, values: "set", strict: true });
+        m.add("k", Tuple(1));
+        assert.throws(() => m.add("k", {}), /^TypeError: value does not implement Symbol.keyBy/);
+        assert.throws(() => m.add("k", Tuple({})), /^TypeError: value\[0\] does not implement Symbol.keyBy/);
+        assert.equal(m.count("k"), 1);
+        assert.throws(() => m.add("j", {}), TypeError);
+        assert.equal(m.has("j"), false);
+        assert.doesNotThrow(() => new MultiMap([], { keyBy: (v) => v, values: "set" }).add("k", {}));
+    });
+});
+
+describe("Bag", () => {
+    it("counts occurrences", () => {
+        const bag = Bag.usingKeys([Tuple(1), Tuple(2), Tuple(1)]);
+        assert.equal(bag.size, 2);
+        assert.equal(bag.count(Tuple(1)), 2);
+        assert.equal(bag.count(Tuple(3)), 0);
+        assert.equal(bag.get(Tuple(1)), 2);
+        assert.equal(bag.get(Tuple(3)), 0);
+        bag.add(Tuple(3), 5).add(Tuple(2), 0);
+        assert.deepStrictEqual([...bag], [[Tuple(1), 2], [Tuple(2), 1], [Tuple(3), 5]]);
+        assert.deepStrictEqual([...bag.keys()], [Tuple(1), Tuple(2), Tuple(3)]);
+        assert.equal(Object.prototype.toString.call(bag), "[object Bag]");
+    });
+    it("removes occurrences and empty values", () => {
+        const bag = new Bag(["a", "b", "a", "a"]);
+        assert.equal(bag.remove("a"), true);
+        assert.equal(bag.count("a"), 2);
+        assert.equal(bag.remove("a", 5), true);
+        assert.equal(bag.has("a"), false);
+        assert.equal(bag.remove("a"), false);
+        bag.add("a");
+        assert.deepStrictEqual([...bag.keys()], ["b", "a"]);
+        assert.equal(bag.delete("b"), true);
+        assert.deepStrictEqual([...bag.entries()], [["a", 1]]);
+        bag.clear();
+        assert.equal(bag.size, 0);
+    });
+    it("accepts a keyBy", () => {
+        const bag = new Bag([{ type: "x" }, { type: "y" }, { type: "x" }], { keyBy: (v) => v.type });
+        assert.equal(bag.count({ type: "x" }), 2);
+    });
+    it("rejects invalid counts", () => {
+        const bag = new Bag();
+        assert.throws(() => bag.add("a", -1), RangeError);
+        assert.throws(() => bag.add("a", 1.5), RangeError);
+        assert.throws(() => bag.remove("a", NaN), RangeError);
+    });
+});